@@ -4,6 +4,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import { execSync } from 'child_process';
 import dotenv from 'dotenv';
+import { apiKeyVariable } from '../src/core/providers/index.js';
 
 // Load environment variables
 dotenv.config();
@@ -32,15 +33,19 @@ async function verifySetup() {
   // Check environment variables
   console.log('\n📋 Environment Variables:');
   
+  const provider = process.env.AI_PROVIDER || 'openai';
+  const apiKey = apiKeyVariable(provider);
   const requiredEnvVars = [
     { key: 'PRODUCT_URL', description: 'Your product URL to test' },
-    { key: 'OPENAI_API_KEY', description: 'OpenAI API key for AI evaluation' }
+    ...(apiKey ? [{ key: apiKey, description: `API key for the ${provider} AI provider` }] : [])
   ];
 
   const optionalEnvVars = [
     { key: 'TEST_EMAIL', description: 'Test email for authentication' },
     { key: 'TEST_PASSWORD', description: 'Test password for authentication' },
-    { key: 'HEADFUL', description: 'Run in headed mode (1) or headless (0)' }
+    { key: 'HEADFUL', description: 'Run in headed mode (1) or headless (0)' },
+    { key: 'AI_PROVIDER', description: 'AI provider: openai, openai-compatible, anthropic or stub' },
+    { key: 'AI_MODEL', description: 'Model used for navigation and evaluation' }
   ];
 
   for (const envVar of requiredEnvVars) {
@@ -95,7 +100,7 @@ async function verifySetup() {
   }
 
   // Check OpenAI API key format
-  if (process.env.OPENAI_API_KEY) {
+  if (provider === 'openai' && process.env.OPENAI_API_KEY) {
     console.log('\n🔑 OpenAI API Key:');
     if (process.env.OPENAI_API_KEY.startsWith('sk-')) {
       console.log('✅ API key format: Valid');
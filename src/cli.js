@@ -2,6 +2,20 @@
 
 import { program } from 'commander';
 import { TestRunner } from './core/TestRunner.js';
+import { SETTINGS, CONFIG_FILES, RECORDING_MODES, loadConfig, describeSource, formatValue } from './core/Config.js';
+import { PersonaLoader } from './core/PersonaLoader.js';
+import { apiKeyVariable } from './core/providers/index.js';
+import { Auth, LOGIN_STRATEGIES } from './core/Auth.js';
+import { runPool, BrowserPool } from './core/WorkerPool.js';
+import { REPORTERS, writeReports } from './core/reporters/index.js';
+import { RunHistory, sparkline } from './core/History.js';
+import { RunComparison, ComparisonHtmlReport } from './core/RunComparison.js';
+import { COMPARE_MODES, describeSizeChange } from './core/VisualRegression.js';
+import { DIFF_METRICS } from './core/ImageDiff.js';
+import { BaselineStore, baselineOptions } from './core/Baselines.js';
+import { migrateBaselines } from './core/BaselineMigration.js';
+import { BaselineReview, REVIEW_STATES } from './core/BaselineReview.js';
+import { BROWSERS, parseList, validateMatrixOptions, expandMatrix, variantLabel, describeVariant } from './core/Matrix.js';
 import fs from 'fs/promises';
 import path from 'path';
 import dotenv from 'dotenv';
@@ -9,12 +23,20 @@ import dotenv from 'dotenv';
 // Load environment variables
 dotenv.config();
 
-const packageJson = JSON.parse(await fs.readFile(path.join(process.cwd(), 'package.json'), 'utf8'));
+const packageJson = JSON.parse(await fs.readFile(new URL('../package.json', import.meta.url), 'utf8'));
 
 program
   .name('validate-me')
   .description('AI-powered product validation framework')
-  .version(packageJson.version);
+  .version(packageJson.version)
+  .option('-c, --config <file>', `Configuration file (default: the first of ${CONFIG_FILES.join(', ')} in the current directory)`)
+  .option('--personas <file>', 'Personas file (default: config/personas.yaml)');
+
+// Resolved before every command: defaults < config file < environment < CLI flags
+let config;
+program.hook('preAction', async (root, command) => {
+  config = await loadConfig({ file: root.opts().config, cli: givenOptions(root, command) });
+});
 
 program
   .command('init')
@@ -40,11 +62,72 @@ program
     }
     
     console.log('\n📝 Next steps:');
-    console.log('1. Edit .env file with your product URL and OpenAI API key');
+    console.log('1. Edit .env file with your product URL and AI provider API key');
     console.log('2. Customize config/personas.yaml for your users');
     console.log('3. Run: validate-me test --persona=first-time-user');
   });
 
+/**
+ * Run one persona on one browser/device combination and return its evaluation
+ */
+async function runVariant(persona, variant, catalog, sharedBrowser = null) {
+  const runner = new TestRunner(persona, {
+    credentials: catalog.credentialsFor(persona),
+    budgets: catalog.budgetsFor(persona),
+    visual: catalog.visualFor(persona),
+    browser: variant.browser,
+    device: variant.device,
+    sharedBrowser
+  });
+
+  try {
+    await runner.setup();
+    await runner.executePersona();
+    const evaluation = await runner.generateReport();
+    const { breaches } = runner.performance;
+    if (breaches.length > 0) {
+      console.log(`⏱️  ${breaches.length} performance budget breach(es) in ${persona.id} [${variantLabel(variant)}]`);
+    }
+    return {
+      evaluation,
+      score: overallScore(evaluation),
+      breaches,
+      reportsDir: runner.reportsDir,
+      steps: runner.steps,
+      outcome: runner.outcome,
+      accessibility: runner.accessibility,
+      diagnostics: runner.diagnostics,
+      visualResults: runner.visualResults
+    };
+  } finally {
+    await runner.cleanup();
+  }
+}
+
+/**
+ * Options typed on the command line (not commander defaults), by option name
+ */
+function givenOptions(...commands) {
+  return Object.assign({}, ...commands.map(command => Object.fromEntries(
+    Object.entries(command.opts()).filter(([name]) => command.getOptionValueSource(name) === 'cli')
+  )));
+}
+
+/**
+ * Write the files selected with --reporter (or reports.reporters) for every run of the command
+ */
+async function writeRunReports(runs) {
+  const names = config.values['reports.reporters'];
+  if (names.length === 0) return;
+  const dir = config.values['reports.reporterDir'] || config.values['reports.dir'];
+  const written = await writeReports(names, runs, { dir, version: packageJson.version });
+  written.forEach(file => console.log(`🧾 Report written: ${path.relative(process.cwd(), file)}`));
+}
+
+function overallScore(evaluation) {
+  return Object.values(evaluation.rubric).reduce((sum, r) => sum + r.score, 0) / Object.keys(evaluation.rubric).length;
+}
+
 program
   .command('test')
   .description('Run product validation test')
@@ -52,58 +135,75 @@ program
   .option('-u, --url <url>', 'Product URL to test')
   .option('-e, --email <email>', 'Test email for authentication')
   .option('-w, --password <password>', 'Test password for authentication')
+  .option('-b, --browser <browsers>', `Browsers to run on (comma-separated: ${BROWSERS.join(', ')})`)
+  .option('-d, --device <devices>', 'Playwright devices to emulate (comma-separated, e.g. "iPhone 13,Pixel 7")')
   .option('--headful', 'Run in headed mode (show browser)')
+  .option('--fail-on-budget', 'Exit with an error when a performance budget is exceeded')
+  .option('--trace <mode>', `Record a Playwright trace: ${RECORDING_MODES.join(', ')} (default: off)`)
+  .option('--video <mode>', `Record a video of the session: ${RECORDING_MODES.join(', ')} (default: off)`)
+  .option('--har', 'Keep a network log (network.har) with cookies, credential headers and request bodies redacted')
+  .option('--strict-baselines', 'Leave new screenshots pending until approved instead of accepting them as baselines')
+  .option('--compare-mode <mode>', `Screenshots of different sizes: compare the full padded page or only the top viewport region (${COMPARE_MODES.join(', ')}; default: full)`)
+  .option('--metric <name>', `Visual diff metric: ${DIFF_METRICS.join(', ')} (default: antialias)`)
+  .option('--threshold <percent>', 'Visual diff percentage a screenshot may differ by and still pass (default: 5)')
+  .option('--triage', 'Have a vision model classify each failed visual comparison as a redesign, layout break, missing content or noise')
+  .option('--reporter <names>', `Machine-readable reports to write (comma-separated: ${Object.keys(REPORTERS).join(', ')})`)
+  .option('--reporter-dir <dir>', 'Directory for --reporter files (default: reports.dir, ./reports)')
+  .option('--cassette <mode>', 'Record or replay AI calls: record, replay, passthrough')
+  .option('--cassette-dir <dir>', 'Directory for AI cassette recordings (default: <report dir>/cassette)')
   .action(async (options) => {
     try {
-      // Override environment variables with CLI options
-      if (options.url) process.env.PRODUCT_URL = options.url;
+      // Credentials stay out of the config file, so they are exported here
       if (options.email) process.env.TEST_EMAIL = options.email;
       if (options.password) process.env.TEST_PASSWORD = options.password;
-      if (options.headful) process.env.HEADFUL = '1';
-      
-      // Load personas
-      const personasYaml = await fs.readFile(path.join(process.cwd(), 'config/personas.yaml'), 'utf8');
-      const personas = personasYaml.split('personas:')[1].split('- id:').slice(1).map(p => {
-        const lines = p.trim().split('\n');
-        return {
-          id: lines[0].trim(),
-          goal: lines.find(l => l.includes('goal:'))?.split('goal:')[1]?.trim()?.replace(/"/g, '') || '',
-          task: lines.find(l => l.includes('task:'))?.split('task:')[1]?.trim()?.replace(/"/g, '') || ''
-        };
-      });
       
-      const persona = personas.find(p => p.id === options.persona);
-      if (!persona) {
-        console.error(`❌ Persona not found: ${options.persona}`);
-        console.log(`Available personas: ${personas.map(p => p.id).join(', ')}`);
-        process.exit(1);
-      }
-      
-      const runner = new TestRunner(persona);
+      const matrix = { browsers: config.values['browser.browsers'], devices: config.values['browser.devices'] };
+      validateMatrixOptions(matrix);
+
+      const personas = await PersonaLoader.load();
+      const persona = personas.get(options.persona);
       
       console.log(`🎭 Testing persona: ${persona.id}`);
       console.log(`🎯 Goal: ${persona.goal}`);
       console.log(`📝 Task: ${persona.task}`);
       
-      await runner.setup();
-      await runner.executePersona();
-      const evaluation = await runner.generateReport();
-      
-      console.log('\n🎉 Validation completed successfully!');
-      const overallScore = Object.values(evaluation.rubric).reduce((sum, r) => sum + r.score, 0) / Object.keys(evaluation.rubric).length;
-      console.log(`📊 Overall score: ${overallScore.toFixed(2)}/5`);
-      console.log(`🎯 Verdict: ${evaluation.verdict.toUpperCase()}`);
+      let lowestScore = Infinity;
+      let budgetBreaches = 0;
+      const runs = [];
+      for (const variant of expandMatrix(persona, matrix)) {
+        console.log(`\n🌐 ${describeVariant(variant)}`);
+        let run;
+        try {
+          run = await runVariant(persona, variant, personas);
+        } catch (error) {
+          // Still report the runs that completed, and this one as an error
+          runs.push({ persona: persona.id, variant, score: 0, verdict: 'FAILED', error: error.message });
+          await writeRunReports(runs);
+          throw error;
+        }
+        runs.push({ persona: persona.id, variant, verdict: run.evaluation.verdict, ...run });
+        lowestScore = Math.min(lowestScore, run.score);
+        budgetBreaches += run.breaches.length;
+
+        console.log('\n🎉 Validation completed successfully!');
+        console.log(`📊 Overall score: ${run.score.toFixed(2)}/5`);
+        console.log(`🎯 Verdict: ${run.evaluation.verdict.toUpperCase()}`);
+      }
+      await writeRunReports(runs);
       
-      if (overallScore < 3) {
+      if (lowestScore < 3) {
         console.log('\n⚠️  Low score detected - consider reviewing blockers and quick wins');
         process.exit(1);
       }
+
+      if (options.failOnBudget && budgetBreaches > 0) {
+        console.log(`\n⏱️  ${budgetBreaches} performance budget breach(es) - see the Performance section of the report`);
+        process.exit(1);
+      }
       
     } catch (error) {
       console.error('💥 Validation failed:', error.message);
       process.exit(1);
-    } finally {
-      if (runner) await runner.cleanup();
     }
   });
 
@@ -111,51 +211,83 @@ program
   .command('test-all')
   .description('Run validation tests for all personas')
   .option('-u, --url <url>', 'Product URL to test')
+  .option('-t, --tag <tags>', 'Only run personas with one of these tags (comma-separated)')
+  .option('-b, --browser <browsers>', `Browsers to run on (comma-separated: ${BROWSERS.join(', ')})`)
+  .option('-d, --device <devices>', 'Playwright devices to emulate (comma-separated, e.g. "iPhone 13,Pixel 7")')
+  .option('-n, --workers <count>', 'Number of persona runs to execute in parallel', '1')
+  .option('--ai-concurrency <count>', 'Maximum concurrent AI requests (default: 4)')
+  .option('--fail-on-budget', 'Exit with an error when a performance budget is exceeded')
+  .option('--trace <mode>', `Record a Playwright trace: ${RECORDING_MODES.join(', ')} (default: off)`)
+  .option('--video <mode>', `Record a video of the session: ${RECORDING_MODES.join(', ')} (default: off)`)
+  .option('--har', 'Keep a network log (network.har) with cookies, credential headers and request bodies redacted')
+  .option('--strict-baselines', 'Leave new screenshots pending until approved instead of accepting them as baselines')
+  .option('--compare-mode <mode>', `Screenshots of different sizes: compare the full padded page or only the top viewport region (${COMPARE_MODES.join(', ')}; default: full)`)
+  .option('--metric <name>', `Visual diff metric: ${DIFF_METRICS.join(', ')} (default: antialias)`)
+  .option('--threshold <percent>', 'Visual diff percentage a screenshot may differ by and still pass (default: 5)')
+  .option('--triage', 'Have a vision model classify each failed visual comparison as a redesign, layout break, missing content or noise')
+  .option('--reporter <names>', `Machine-readable reports to write (comma-separated: ${Object.keys(REPORTERS).join(', ')})`)
+  .option('--reporter-dir <dir>', 'Directory for --reporter files (default: reports.dir, ./reports)')
+  .option('--cassette <mode>', 'Record or replay AI calls: record, replay, passthrough')
+  .option('--cassette-dir <dir>', 'Directory for AI cassette recordings (default: <report dir>/cassette)')
   .action(async (options) => {
     console.log('🎭 Running validation for all personas...');
     
-    if (options.url) process.env.PRODUCT_URL = options.url;
+    const workers = parseInt(options.workers, 10);
+    if (!Number.isInteger(workers) || workers < 1) {
+      console.error(`❌ --workers must be a positive integer (got ${options.workers})`);
+      process.exit(1);
+    }
     
-    // Load personas
-    const personasYaml = await fs.readFile(path.join(process.cwd(), 'config/personas.yaml'), 'utf8');
-    const personas = personasYaml.split('personas:')[1].split('- id:').slice(1).map(p => {
-      const lines = p.trim().split('\n');
-      return {
-        id: lines[0].trim(),
-        goal: lines.find(l => l.includes('goal:'))?.split('goal:')[1]?.trim()?.replace(/"/g, '') || '',
-        task: lines.find(l => l.includes('task:'))?.split('task:')[1]?.trim()?.replace(/"/g, '') || ''
-      };
-    });
+    const matrix = { browsers: config.values['browser.browsers'], devices: config.values['browser.devices'] };
+    let catalog;
+    try {
+      validateMatrixOptions(matrix);
+      catalog = await PersonaLoader.load();
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+
+    const tags = parseList(options.tag);
+    const personas = catalog.select({ tags });
+    if (personas.length === 0) {
+      console.error(`❌ No personas tagged: ${tags.join(', ')}`);
+      process.exit(1);
+    }
     
-    const results = [];
+    const jobs = personas.flatMap(persona => expandMatrix(persona, matrix).map(variant => ({ persona, variant })));
+    if (workers > 1) {
+      console.log(`⚙️  Running ${jobs.length} persona runs on ${Math.min(workers, jobs.length)} workers`);
+    }
+
+    // Parallel runs share one browser per type, each in its own isolated context
+    const browsers = workers > 1 ? new BrowserPool(name => TestRunner.launchBrowser(name)) : null;
     
-    for (const persona of personas) {
-      console.log(`\n🎭 Testing persona: ${persona.id}`);
+    const results = await runPool(jobs, workers, async ({ persona, variant }) => {
+      console.log(`\n🎭 Testing persona: ${persona.id} (${describeVariant(variant)})`);
       
       try {
-        const runner = new TestRunner(persona);
-        await runner.setup();
-        await runner.executePersona();
-        const evaluation = await runner.generateReport();
-        await runner.cleanup();
-        
-        const overallScore = Object.values(evaluation.rubric).reduce((sum, r) => sum + r.score, 0) / Object.keys(evaluation.rubric).length;
-        results.push({ persona: persona.id, score: overallScore, verdict: evaluation.verdict });
+        const sharedBrowser = browsers ? await browsers.get(variant.browser) : null;
+        const run = await runVariant(persona, variant, catalog, sharedBrowser);
         
-        console.log(`✅ ${persona.id}: ${overallScore.toFixed(2)}/5 (${evaluation.verdict})`);
+        console.log(`✅ ${persona.id} [${variantLabel(variant)}]: ${run.score.toFixed(2)}/5 (${run.evaluation.verdict})`);
+        return { persona: persona.id, variant, verdict: run.evaluation.verdict, ...run };
         
       } catch (error) {
-        console.error(`❌ ${persona.id}: Failed - ${error.message}`);
-        results.push({ persona: persona.id, score: 0, verdict: 'FAILED' });
+        console.error(`❌ ${persona.id} [${variantLabel(variant)}]: Failed - ${error.message}`);
+        return { persona: persona.id, variant, score: 0, verdict: 'FAILED', breaches: [], error: error.message };
       }
-    }
+    }, { label: ({ persona, variant }) => `${persona.id}/${variantLabel(variant)}` });
+
+    if (browsers) await browsers.closeAll();
+    await writeRunReports(results);
     
     // Generate summary
     console.log('\n📊 Summary:');
-    console.log('| Persona | Score | Verdict |');
-    console.log('|---------|-------|---------|');
+    console.log('| Persona | Browser/Device | Score | Verdict |');
+    console.log('|---------|----------------|-------|---------|');
     results.forEach(r => {
-      console.log(`| ${r.persona} | ${r.score.toFixed(2)}/5 | ${r.verdict} |`);
+      console.log(`| ${r.persona} | ${describeVariant(r.variant)} | ${r.score.toFixed(2)}/5 | ${r.verdict} |`);
     });
     
     const avgScore = results.reduce((sum, r) => sum + r.score, 0) / results.length;
@@ -165,6 +297,499 @@ program
       console.log('\n⚠️  Low average score - consider reviewing blockers and quick wins');
       process.exit(1);
     }
+
+    const budgetBreaches = results.reduce((sum, r) => sum + r.breaches.length, 0);
+    if (budgetBreaches > 0) {
+      console.log(`\n⏱️  ${budgetBreaches} performance budget breach(es) across all runs`);
+      if (options.failOnBudget) process.exit(1);
+    }
+  });
+
+program
+  .command('login')
+  .description('Log in with a credentials profile and cache the session for persona runs')
+  .requiredOption('--profile <name>', 'Credentials profile from config/personas.yaml')
+  .option('-u, --url <url>', 'Product URL to log in to')
+  .option('-b, --browser <browser>', `Browser to log in with (${BROWSERS.join(', ')})`, 'chromium')
+  .option('--headful', 'Run in headed mode (show browser)')
+  .action(async (options) => {
+    let browser;
+    try {
+      validateMatrixOptions({ browsers: [options.browser] });
+
+      const personas = await PersonaLoader.load();
+      const profile = personas.profile(options.profile);
+      const auth = new Auth(options.profile, {
+        ...profile,
+        email: profile.email || process.env.TEST_EMAIL,
+        password: profile.password || process.env.TEST_PASSWORD
+      }, { baseUrl: config.values.productUrl });
+
+      if (auth.strategy === 'storageState') {
+        console.log(`✅ Credentials "${options.profile}" use the saved storage state ${profile.storageState}; nothing to capture`);
+        return;
+      }
+      if (!auth.strategy) {
+        throw new Error(`❌ Credentials "${options.profile}" have no login strategy. Add one of: ${LOGIN_STRATEGIES.join(', ')}`);
+      }
+
+      console.log(`🔐 Logging in with "${options.profile}" (${auth.strategy})...`);
+      browser = await TestRunner.launchBrowser(options.browser);
+      const page = await (await browser.newContext()).newPage();
+      const result = await auth.login(page);
+
+      console.log(`✅ Logged in: ${result.url}`);
+      console.log('🚀 Persona runs using this profile will reuse the session and skip the login');
+    } catch (error) {
+      console.error('💥 Login failed:', error.message);
+      process.exitCode = 1;
+    } finally {
+      if (browser) await browser.close();
+    }
+  });
+
+/**
+ * Print one persona/browser series: a sparkline per criterion and any significant drop
+ */
+function printTrend(trend, last) {
+  const recent = values => values.slice(-last);
+  const latest = trend.runs[trend.runs.length - 1];
+  const label = name => `   ${name.padEnd(28)}`;
+
+  console.log(`\n📈 ${trend.key} — ${trend.runs.length} run(s), latest ${latest.timestamp.slice(0, 16).replace('T', ' ')}${latest.commit ? ` (${latest.commit.slice(0, 7)}${latest.branch ? `, ${latest.branch}` : ''})` : ''}`);
+
+  for (const metric of trend.metrics) {
+    const value = metric.values[metric.values.length - 1];
+    const { drop } = metric;
+    const baseline = drop ? `  baseline ${drop.baseline.toFixed(2)} ±${drop.deviation.toFixed(2)}` : '';
+    const flag = drop?.significant ? `  ⚠️  significant drop (z = ${drop.z})` : '';
+    console.log(`${label(metric.name)}${sparkline(recent(metric.values))}  ${value === null ? '–' : value.toFixed(2).padStart(4)}${baseline}${flag}`);
+  }
+
+  const stepSuccess = trend.stepSuccess[trend.stepSuccess.length - 1];
+  console.log(`${label('step success')}${sparkline(recent(trend.stepSuccess), { max: 1 })}  ${stepSuccess === null ? '–' : `${Math.round(stepSuccess * 100)}%`}`);
+  const visualFailures = recent(trend.visualFailures);
+  console.log(`${label('visual diffs')}${sparkline(visualFailures, { max: Math.max(...visualFailures, 1) })}  ${visualFailures[visualFailures.length - 1]}`);
+}
+
+program
+  .command('history')
+  .description('Show score trends across previous runs and flag significant drops')
+  .option('-p, --persona <personas>', 'Only show these personas (comma-separated)')
+  .option('-b, --browser <browsers>', 'Only show runs on these browsers (comma-separated)')
+  .option('-c, --criterion <criteria>', 'Only show these rubric criteria (comma-separated)')
+  .option('-n, --last <count>', 'Number of recent runs to chart per persona', '20')
+  .option('--window <count>', 'Number of earlier runs the latest run is compared with', '10')
+  .option('--z <score>', 'Standard deviations below the baseline that count as a significant drop', '2')
+  .option('--file <path>', 'History file (default: reports/history.jsonl)')
+  .option('--json', 'Print the trends as JSON')
+  .option('--fail-on-drop', 'Exit with an error when a significant drop is found')
+  .action(async (options) => {
+    try {
+      const [last, window, z] = [parseInt(options.last, 10), parseInt(options.window, 10), Number(options.z)];
+      if (![last, window].every(value => Number.isInteger(value) && value > 0) || !(z > 0)) {
+        throw new Error('❌ --last and --window must be positive integers and --z a positive number');
+      }
+
+      const history = new RunHistory(options.file && path.resolve(options.file));
+      const personas = parseList(options.persona);
+      const browsers = parseList(options.browser);
+      const criteria = parseList(options.criterion);
+      const entries = (await history.load()).filter(entry =>
+        (personas.length === 0 || personas.includes(entry.persona)) &&
+        (browsers.length === 0 || browsers.includes(entry.browser)));
+
+      if (entries.length === 0) {
+        console.log(`📭 No runs recorded in ${path.relative(process.cwd(), history.filePath)} yet - run validate-me test first`);
+        return;
+      }
+
+      const trends = RunHistory.trends(entries, { window, z }).map(trend => ({
+        ...trend,
+        metrics: trend.metrics.filter(metric => criteria.length === 0 || metric.name === 'overall' || criteria.includes(metric.name))
+      }));
+      const drops = trends.flatMap(trend => trend.metrics
+        .filter(metric => metric.drop?.significant)
+        .map(metric => ({ series: trend.key, criterion: metric.name, ...metric.drop })));
+
+      if (options.json) {
+        console.log(JSON.stringify({
+          trends: trends.map(({ runs, ...trend }) => ({ ...trend, runIds: runs.map(entry => entry.runId) })),
+          drops
+        }, null, 2));
+      } else {
+        console.log(`🗂️  ${entries.length} run(s) in ${path.relative(process.cwd(), history.filePath)}`);
+        trends.forEach(trend => printTrend(trend, last));
+
+        if (drops.length > 0) {
+          console.log(`\n⚠️  ${drops.length} significant score drop(s) against the last ${window} runs:`);
+          drops.forEach(drop => console.log(`   ${drop.series} ${drop.criterion}: ${drop.latest} vs ${drop.baseline} (z = ${drop.z})`));
+        } else {
+          console.log('\n✅ No significant score drops');
+        }
+      }
+
+      if (options.failOnDrop && drops.length > 0) process.exitCode = 1;
+    } catch (error) {
+      console.error('💥 History failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Terminal version of a run comparison: what changed, not the full tables
+ */
+function printComparison(result) {
+  const signed = (value, digits = 2) => `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+  const { before, after, score, verdict, steps, screenshots } = result;
+
+  console.log(`\n🅰️  ${before.name} (${before.variant})`);
+  console.log(`🅱️  ${after.name} (${after.variant})`);
+  console.log(`\n📊 Overall score: ${score.before.toFixed(2)} → ${score.after.toFixed(2)} (${signed(score.delta)})`);
+  console.log(`🎯 Verdict: ${verdict.before.toUpperCase()} → ${verdict.after.toUpperCase()}${verdict.changed ? '  ⚠️ changed' : ''}`);
+
+  console.log('\n| Criteria | A | B | Δ |');
+  console.log('|----------|---|---|---|');
+  result.rubric.forEach(entry => {
+    console.log(`| ${entry.criterion} | ${entry.before ?? '–'} | ${entry.after ?? '–'} | ${entry.delta === null ? '–' : signed(entry.delta, 0)} |`);
+  });
+
+  for (const [title, changes] of [['Blockers', result.blockers], ['Quick wins', result.quickWins]]) {
+    if (changes.added.length === 0 && changes.resolved.length === 0) continue;
+    console.log(`\n${title}:`);
+    changes.added.forEach(item => console.log(`   ➕ ${item}`));
+    changes.resolved.forEach(item => console.log(`   ✔️  ${item}`));
+  }
+
+  console.log(`\n🪜 Steps: ${steps.before.passed}/${steps.before.total} passed in ${steps.before.duration}ms → ${steps.after.passed}/${steps.after.total} passed in ${steps.after.duration}ms`);
+  steps.changes
+    .filter(change => change.before?.success !== change.after?.success)
+    .forEach(change => {
+      const state = value => (value ? (value.success ? 'passed' : 'failed') : 'missing');
+      console.log(`   ${change.stepId}: ${state(change.before)} → ${state(change.after)}${change.after?.error ? ` (${change.after.error})` : ''}`);
+    });
+
+  console.log(`\n📸 Screenshots: ${screenshots.passed} match, ${screenshots.failed} differ, ${screenshots.new} only in one run`);
+  screenshots.comparisons
+    .filter(comparison => comparison.status !== 'passed')
+    .forEach(comparison => {
+      const detail = typeof comparison.diffPercentage === 'number'
+        ? `${comparison.diffPercentage.toFixed(2)}% different${comparison.regions?.length ? ` in ${comparison.regions.length} region(s)` : ''}${comparison.sizeChange ? `, ${describeSizeChange(comparison.sizeChange)}` : ''}`
+        : comparison.error || comparison.status;
+      console.log(`   ${comparison.filename}: ${detail}`);
+    });
+}
+
+program
+  .command('compare <runA> <runB>')
+  .description('Compare two runs: scores, verdict, findings, steps and screenshots')
+  .option('-o, --out <dir>', 'Directory for diff images and reports (default: reports/comparisons/<runA>--<runB>)')
+  .option('--markdown', 'Write comparison.md')
+  .option('--html', 'Write a self-contained comparison.html')
+  .option('--json', 'Print the comparison as JSON')
+  .option('--compare-mode <mode>', `Screenshots of different sizes: compare the full padded page or only the top viewport region (${COMPARE_MODES.join(', ')}; default: full)`)
+  .option('--metric <name>', `Visual diff metric: ${DIFF_METRICS.join(', ')} (default: antialias)`)
+  .option('--threshold <percent>', 'Visual diff percentage a screenshot may differ by and still pass (default: 5)')
+  .action(async (runA, runB, options) => {
+    try {
+      const before = await RunComparison.load(runA);
+      const after = await RunComparison.load(runB);
+      if (before.persona.id !== after.persona.id) {
+        console.warn(`⚠️  Comparing different personas: ${before.persona.id} and ${after.persona.id}`);
+      }
+
+      const outDir = path.resolve(options.out || path.join(config.values['reports.dir'], 'comparisons', `${before.name}--${after.name}`));
+      const result = await new RunComparison(before, after).compare(outDir);
+
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        printComparison(result);
+      }
+
+      if (options.markdown) {
+        const markdownPath = path.join(outDir, 'comparison.md');
+        await fs.writeFile(markdownPath, RunComparison.toMarkdown(result));
+        console.log(`\n📄 Comparison written: ${path.relative(process.cwd(), markdownPath)}`);
+      }
+      if (options.html) {
+        const htmlPath = await new ComparisonHtmlReport(result).write(path.join(outDir, 'comparison.html'));
+        console.log(`🌐 HTML comparison: ${path.relative(process.cwd(), htmlPath)}`);
+      }
+    } catch (error) {
+      console.error('💥 Comparison failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+const baseline = program
+  .command('baseline')
+  .description('Manage visual regression baselines');
+
+baseline
+  .command('migrate')
+  .description('Move baselines from the old shared folders into persona/browser/viewport keys')
+  .option('--reports <dir>', 'Report directories used to work out which persona took each screenshot (default: reports.dir, ./reports)')
+  .option('--dry-run', 'Show what would be moved without changing anything')
+  .option('--keep', 'Copy instead of move, leaving the old files in place')
+  .action(async (options) => {
+    try {
+      const { root } = baselineOptions();
+      const relative = file => path.relative(process.cwd(), file);
+      const result = await migrateBaselines({
+        root,
+        reportsRoot: config.values['reports.dir'],
+        dryRun: options.dryRun,
+        keep: options.keep
+      });
+
+      if (result.moved.length === 0 && result.unmatched.length === 0) {
+        console.log(`✅ No baselines in the old layout under ${relative(root)}`);
+        return;
+      }
+
+      for (const { from, to } of result.moved) {
+        console.log(`📦 ${relative(from)}${to.length > 0 ? '' : ' (already migrated)'}`);
+        to.forEach(target => console.log(`   → ${relative(target)}`));
+      }
+      result.skipped.forEach(target => console.log(`⏭️  Kept existing ${relative(target)}`));
+      if (result.unmatched.length > 0) {
+        console.log(`\n⚠️  ${result.unmatched.length} baseline(s) match no run in ${relative(config.values['reports.dir'])}/ and were left in place:`);
+        result.unmatched.forEach(file => console.log(`   ${relative(file)}`));
+      }
+      console.log(`\n${options.dryRun ? '🔍 Dry run: would migrate' : '✅ Migrated'} ${result.moved.length} baseline(s)`);
+    } catch (error) {
+      console.error('💥 Baseline migration failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Runs to review: the one named, or the latest run of every persona and browser/device
+ */
+async function openReviews(run, options) {
+  const overrides = options.branch ? { branch: options.branch } : {};
+  if (run) return [await BaselineReview.open(run, overrides)];
+  const reviews = await BaselineReview.latest(config.values['reports.dir'], overrides);
+  if (reviews.length === 0) throw new Error(`❌ No runs with artifacts.json found in ${path.relative(process.cwd(), config.values['reports.dir'])}/`);
+  return reviews;
+}
+
+/**
+ * approve/reject take `<run> [names...]`, or only names with --latest
+ */
+function reviewTargets(run, names, options) {
+  const patterns = options.latest ? [run, ...names].filter(Boolean) : names;
+  if (!options.latest && !run) throw new Error('❌ Name the run to review, or pass --latest');
+  if (patterns.length === 0 && !options.all) throw new Error('❌ Name screenshots (globs such as "agent-*" work), or pass --all');
+  return { run: options.latest ? null : run, patterns: options.all ? [] : patterns };
+}
+
+baseline
+  .command('list')
+  .description('List baselines per persona, browser, viewport and branch')
+  .option('-p, --persona <personas>', 'Only these personas (comma-separated)')
+  .option('-b, --browser <browsers>', 'Only these browsers (comma-separated)')
+  .option('--branch <branch>', 'Only this branch (use "shared" for baselines without a branch)')
+  .action(async (options) => {
+    const personas = parseList(options.persona);
+    const browsers = parseList(options.browser);
+    const stores = (await BaselineStore.all()).filter(store =>
+      (personas.length === 0 || personas.includes(store.key.persona)) &&
+      (browsers.length === 0 || browsers.includes(store.key.browser)) &&
+      (!options.branch || (options.branch === 'shared' ? !store.key.branch : store.key.branch === options.branch)));
+
+    if (stores.length === 0) {
+      console.log('📭 No baselines yet - they are created by the first run of each persona');
+      return;
+    }
+    let total = 0;
+    for (const store of stores) {
+      const names = await store.list();
+      total += names.length;
+      console.log(`\n📁 ${store.describe()} (${names.length})`);
+      names.forEach(name => console.log(`   ${name}`));
+    }
+    console.log(`\n🖼️  ${total} baseline(s) in ${stores.length} key(s)`);
+  });
+
+baseline
+  .command('status [run]')
+  .description('Compare a run (default: the latest run of each persona) with its baselines')
+  .option('--branch <branch>', 'Check against this branch\'s baselines (default: BASELINE_BRANCH)')
+  .option('--reports <dir>', 'Directory with the report folders (default: reports.dir, ./reports)')
+  .option('--fail-on-pending', 'Exit with an error when a screenshot is new or changed and not reviewed')
+  .option('--compare-mode <mode>', `Screenshots of different sizes: compare the full padded page or only the top viewport region (${COMPARE_MODES.join(', ')}; default: full)`)
+  .option('--metric <name>', `Visual diff metric: ${DIFF_METRICS.join(', ')} (default: antialias)`)
+  .option('--threshold <percent>', 'Visual diff percentage a screenshot may differ by and still pass (default: 5)')
+  .action(async (run, options) => {
+    try {
+      let pending = 0;
+      for (const review of await openReviews(run, options)) {
+        console.log(`\n📂 ${review.name} → ${review.store.describe()}`);
+        for (const entry of await review.status()) {
+          const detail = entry.error || (entry.diffPercentage !== undefined ? `${entry.diffPercentage.toFixed(2)}% diff${entry.sizeChange ? `, ${describeSizeChange(entry.sizeChange)}` : ''}` : '');
+          const inherited = entry.inheritedFrom ? ` (${entry.inheritedFrom} baseline)` : '';
+          console.log(`   ${REVIEW_STATES[entry.state]}: ${entry.name}${detail ? ` - ${detail}` : ''}${inherited}`);
+          if (['new', 'changed', 'error'].includes(entry.state)) pending++;
+        }
+      }
+
+      if (pending > 0) {
+        console.log(`\n⏳ ${pending} screenshot(s) need review: validate-me baseline approve <run> <name|glob> or reject`);
+        if (options.failOnPending) process.exitCode = 1;
+      } else {
+        console.log('\n✅ Every screenshot matches or has been reviewed');
+      }
+    } catch (error) {
+      console.error('💥 Baseline status failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+baseline
+  .command('approve [run] [names...]')
+  .description('Make a run\'s screenshots the baselines: one, by glob, or --all')
+  .option('--all', 'Approve every screenshot of the run')
+  .option('--latest', 'Use the latest run of each persona; every argument is a screenshot name or glob')
+  .option('--branch <branch>', 'Approve into this branch\'s baselines (default: BASELINE_BRANCH)')
+  .option('--reports <dir>', 'Directory with the report folders (default: reports.dir, ./reports)')
+  .action(async (run, names, options) => {
+    try {
+      const targets = reviewTargets(run, names, options);
+      let approved = 0;
+      for (const review of await openReviews(targets.run, options)) {
+        const screenshots = review.screenshots(targets.patterns);
+        if (screenshots.length === 0) continue;
+        const files = await review.approve(screenshots);
+        approved += files.length;
+        console.log(`\n👍 ${review.name} → ${review.store.describe()}`);
+        screenshots.forEach(({ name }) => console.log(`   ${name}`));
+      }
+      if (approved === 0) throw new Error(`❌ No screenshots match: ${targets.patterns.join(', ')}`);
+      console.log(`\n✅ Approved ${approved} baseline(s)`);
+    } catch (error) {
+      console.error('💥 Approval failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+baseline
+  .command('reject [run] [names...]')
+  .description('Keep the existing baselines for a run\'s screenshots: one, by glob, or --all')
+  .option('--all', 'Reject every screenshot of the run')
+  .option('--latest', 'Use the latest run of each persona; every argument is a screenshot name or glob')
+  .option('--branch <branch>', 'Baselines of this branch (default: BASELINE_BRANCH)')
+  .option('--reports <dir>', 'Directory with the report folders (default: reports.dir, ./reports)')
+  .action(async (run, names, options) => {
+    try {
+      const targets = reviewTargets(run, names, options);
+      let rejected = 0;
+      for (const review of await openReviews(targets.run, options)) {
+        const screenshots = review.screenshots(targets.patterns);
+        if (screenshots.length === 0) continue;
+        const removed = await review.reject(screenshots);
+        rejected += screenshots.length;
+        console.log(`\n👎 ${review.name} → ${review.store.describe()}`);
+        screenshots.forEach(({ name }) => console.log(`   ${name}`));
+        removed.forEach(file => console.log(`   🗑️ Removed baseline created by this run: ${path.relative(process.cwd(), file)}`));
+      }
+      if (rejected === 0) throw new Error(`❌ No screenshots match: ${targets.patterns.join(', ')}`);
+      console.log(`\n✅ Rejected ${rejected} screenshot(s)`);
+    } catch (error) {
+      console.error('💥 Rejection failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+baseline
+  .command('prune')
+  .description('Remove baselines the latest runs no longer capture, and old diff images')
+  .option('--older-than <days>', 'Delete diff images older than this many days', '7')
+  .option('--branch <branch>', 'Prune this branch\'s baselines (default: BASELINE_BRANCH)')
+  .option('--reports <dir>', 'Directory with the report folders (default: reports.dir, ./reports)')
+  .option('--dry-run', 'Show what would be removed without deleting anything')
+  .action(async (options) => {
+    try {
+      const days = Number(options.olderThan);
+      if (!(days >= 0)) throw new Error(`❌ --older-than must be a number of days (got ${options.olderThan})`);
+
+      const relative = file => path.relative(process.cwd(), file);
+      const { baselines, diffs } = await BaselineReview.prune({
+        reportsRoot: config.values['reports.dir'],
+        maxAge: days * 24 * 60 * 60 * 1000,
+        dryRun: options.dryRun,
+        overrides: options.branch ? { branch: options.branch } : {}
+      });
+
+      baselines.forEach(file => console.log(`🗑️ ${options.dryRun ? 'Would remove' : 'Removed'} stale baseline: ${relative(file)}`));
+      if (options.dryRun) diffs.forEach(file => console.log(`🗑️ Would remove old diff: ${relative(file)}`));
+      console.log(`\n${options.dryRun ? '🔍 Dry run: would remove' : '✅ Removed'} ${baselines.length} stale baseline(s) and ${diffs.length} diff image(s)`);
+    } catch (error) {
+      console.error('💥 Prune failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('report <runDir>')
+  .description('Regenerate the evaluation and reports of a previous run from its artifacts.json')
+  .option('--cassette <mode>', 'AI cassette mode: record, replay, passthrough', 'replay')
+  .option('--cassette-dir <dir>', 'Directory with AI cassette recordings (default: the one the run recorded to)')
+  .action(async (runDir, options) => {
+    try {
+      process.env.AI_CASSETTE = options.cassette;
+
+      const runner = await TestRunner.fromArtifacts(runDir, {
+        cassetteDir: options.cassetteDir && path.resolve(options.cassetteDir)
+      });
+      console.log(`📊 Regenerating report for ${runner.persona.id} (${options.cassette})`);
+      const evaluation = await runner.generateReport();
+
+      console.log(`📊 Overall score: ${overallScore(evaluation).toFixed(2)}/5`);
+      console.log(`🎯 Verdict: ${evaluation.verdict.toUpperCase()}`);
+    } catch (error) {
+      console.error('💥 Report generation failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+const configCommand = program
+  .command('config')
+  .description('Inspect the resolved configuration');
+
+configCommand
+  .command('print')
+  .description('Show every setting, its resolved value and where it came from (default, config file, env or CLI flag)')
+  .option('--json', 'Print the settings as JSON')
+  .action(options => {
+    const relative = value => (path.isAbsolute(value) ? path.relative(process.cwd(), value) || '.' : value);
+    const rows = Object.entries(SETTINGS).map(([key, setting]) => {
+      const value = config.values[key];
+      return {
+        key,
+        value: setting.type === 'path' && value !== undefined ? relative(value) : value,
+        source: describeSource(config, key),
+        env: setting.env || null,
+        description: setting.description
+      };
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify({
+        file: config.file,
+        settings: Object.fromEntries(rows.map(({ key, value, source, env }) => [key, { value: value ?? null, source, env }]))
+      }, null, 2));
+      return;
+    }
+
+    console.log(`⚙️  Config file: ${config.file ? path.relative(process.cwd(), config.file) : `none (looked for ${CONFIG_FILES.join(', ')})`}\n`);
+    const widths = ['key', 'value', 'source'].map(column => Math.max(...rows.map(row => formatValue(row[column]).length)));
+    for (const row of rows) {
+      const marker = row.source === 'default' ? ' ' : '•';
+      console.log(`${marker} ${row.key.padEnd(widths[0])}  ${formatValue(row.value).padEnd(widths[1])}  ${row.source.padEnd(widths[2])}  ${row.env ? `[${row.env}]` : ''}`);
+    }
+    console.log('\n• set by the config file, environment or a flag. API keys and test credentials are only read from the environment.');
   });
 
 program
@@ -176,7 +801,8 @@ program
     let allGood = true;
     
     // Check environment variables
-    const requiredEnvVars = ['PRODUCT_URL', 'OPENAI_API_KEY'];
+    const apiKey = apiKeyVariable(process.env.AI_PROVIDER || 'openai');
+    const requiredEnvVars = ['PRODUCT_URL', ...(apiKey ? [apiKey] : [])];
     
     for (const envVar of requiredEnvVars) {
       if (process.env[envVar]) {
@@ -188,11 +814,13 @@ program
     }
     
     // Check configuration files
+    console.log(config.file ? `✅ ${path.relative(process.cwd(), config.file)}: Found` : `ℹ️  No config file (${CONFIG_FILES.join(', ')}); using defaults and environment variables`);
+    const personasFile = path.relative(process.cwd(), PersonaLoader.defaultPath());
     try {
-      await fs.access('config/personas.yaml');
-      console.log('✅ config/personas.yaml: Found');
+      await fs.access(PersonaLoader.defaultPath());
+      console.log(`✅ ${personasFile}: Found`);
     } catch {
-      console.log('❌ config/personas.yaml: Not found');
+      console.log(`❌ ${personasFile}: Not found`);
       allGood = false;
     }
     
@@ -206,4 +834,10 @@ program
     }
   });
 
-program.parse();
+// The hook and the actions are async; anything they don't handle themselves ends up here
+try {
+  await program.parseAsync();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
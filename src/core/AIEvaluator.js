@@ -1,81 +1,88 @@
 #!/usr/bin/env node
 
-import OpenAI from 'openai';
 import fs from 'fs/promises';
 import path from 'path';
+import { createProvider, resolveAIConfig, supportsImages } from './providers/index.js';
+import { readPNG, encodePNG, crop, resize, tile } from './ImageUtils.js';
+import { normalizeEvaluation, validateEvaluation, RUBRIC_KEYS, VERDICTS } from './EvaluationSchema.js';
+import { BUDGET_METRICS, formatMetric } from './Performance.js';
+import { SIGNAL_TYPES } from './Diagnostics.js';
+import { TRIAGE_CATEGORIES } from './VisualTriage.js';
 
 /**
- * AI-Powered Product Evaluator using OpenAI API
- * Evaluates product user experience using actual LLM
+ * AI-Powered Product Evaluator
+ * Evaluates product user experience through the configured LLM provider
  */
 export class AIEvaluator {
-  constructor() {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error(`❌ OPENAI_API_KEY not found in environment variables.
-      
-Please ensure:
-1. Add OPENAI_API_KEY to your .env or .env.local file
-2. Get a valid API key from: https://platform.openai.com/api-keys
-3. The key should start with 'sk-proj-' or 'sk-'
-
-Example:
-OPENAI_API_KEY=sk-proj-your_actual_api_key_here
-
-The system requires real AI evaluation and cannot fallback to simulation.`);
-    }
-    
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+  constructor(options = {}) {
+    this.config = resolveAIConfig(options);
+    this.provider = createProvider(this.config);
+    // Text-only models get the step log without the screenshots
+    this.attachImages = this.config.imageBudget > 0 && supportsImages(this.config.model);
   }
 
   async evaluateProductExperience(artifacts, persona, screenshots = []) {
-    console.log('🤖 Running AI evaluation with OpenAI...');
+    console.log(`🤖 Running AI evaluation with ${this.provider.name} (${this.config.model})...`);
     
     try {
       const evaluationPrompt = await this.buildEvaluationPrompt(artifacts, persona, screenshots);
+      const screenshotParts = await this.buildScreenshotParts(artifacts, screenshots);
       
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4-turbo-preview',
-        messages: [
-          {
-            role: 'system',
-            content: await this.getSystemPrompt()
-          },
-          {
-            role: 'user',
-            content: evaluationPrompt
-          }
-        ],
-        temperature: 0.7,
-        max_tokens: 2000
-      });
-
-      const evaluationText = response.choices[0].message.content;
-      const evaluation = this.parseEvaluation(evaluationText);
-      
-      console.log('✅ AI evaluation completed');
-      return evaluation;
+      const system = await this.getSystemPrompt();
+      const messages = [
+        {
+          role: 'user',
+          content: screenshotParts.length > 0
+            ? [{ type: 'text', text: evaluationPrompt }, ...screenshotParts]
+            : evaluationPrompt
+        }
+      ];
+
+      // Ask the model to repair schema violations, up to AI_MAX_REPAIRS times
+      for (let attempt = 0; ; attempt++) {
+        const response = await this.provider.complete({
+          purpose: 'evaluation',
+          system,
+          messages,
+          temperature: this.config.temperature,
+          maxTokens: this.config.maxTokens
+        });
+
+        const { evaluation, errors } = this.parseEvaluation(response.text);
+        if (errors.length === 0) {
+          console.log('✅ AI evaluation completed');
+          return evaluation;
+        }
+
+        if (attempt >= this.config.maxRepairs) {
+          throw new Error(`Evaluation did not match the schema after ${attempt} repair attempt(s):
+${errors.map(error => `- ${error}`).join('\n')}`);
+        }
+
+        console.warn(`⚠️ Evaluation failed schema validation (${errors.length} issue(s)), requesting repair ${attempt + 1}/${this.config.maxRepairs}`);
+        messages.push(
+          { role: 'assistant', content: response.text },
+          { role: 'user', content: this.buildRepairPrompt(errors) }
+        );
+      }
       
     } catch (error) {
       if (error.message.includes('401') || error.message.includes('Incorrect API key')) {
-        throw new Error(`❌ Invalid OpenAI API key.
+        throw new Error(`❌ Invalid ${this.provider.name} API key.
         
 Please ensure:
 1. Your API key is correct and active
-2. You have sufficient credits in your OpenAI account
-3. The key has access to GPT-4 models
-
-Get a valid API key from: https://platform.openai.com/api-keys
+2. You have sufficient credits in your ${this.provider.name} account
+3. The key has access to the model '${this.config.model}'
 
 The system requires real AI evaluation and cannot fallback to simulation.`);
       } else if (error.message.includes('429') || error.message.includes('rate limit')) {
-        throw new Error(`❌ OpenAI API rate limit exceeded.
+        throw new Error(`❌ ${this.provider.name} API rate limit exceeded.
         
 Please:
 1. Wait a few minutes before retrying
-2. Check your OpenAI usage limits
-3. Consider upgrading your OpenAI plan if needed
+2. Check your ${this.provider.name} usage limits
+3. Consider upgrading your plan if needed
 
 The system requires real AI evaluation and cannot fallback to simulation.`);
       } else {
@@ -83,7 +90,7 @@ The system requires real AI evaluation and cannot fallback to simulation.`);
         
 Please ensure:
 1. Your internet connection is stable
-2. OpenAI API is accessible
+2. The ${this.provider.name} API is accessible
 3. Your API key has proper permissions
 
 The system requires real AI evaluation and cannot fallback to simulation.`);
@@ -122,6 +129,103 @@ Deliverables:
 * Verdict: {ship | fix then ship | rethink}`;
   }
 
+  /**
+   * Audit findings and keyboard-only results, as evidence for the feature accessibility score
+   */
+  buildAccessibilitySection(accessibility) {
+    if (!accessibility) return '';
+
+    const { violations = [], issues = [], focusOrder = [], keyboardOnly } = accessibility;
+    let section = `## Accessibility Audit\n`;
+
+    if (violations.length === 0) {
+      section += 'The automated audit found no violations.\n';
+    } else {
+      section += `The automated audit found ${violations.length} issue(s)${violations.length > 15 ? ' (15 most severe shown)' : ''}:\n`;
+      violations.slice(0, 15).forEach(v => {
+        section += `- [${v.impact}] ${v.rule}: ${v.message} (\`${v.target}\`, steps ${v.steps.join(', ')})\n`;
+      });
+    }
+
+    if (keyboardOnly) {
+      section += `\nThis persona navigated with the keyboard only (${focusOrder.length} focus stops recorded).\n`;
+      section += issues.length > 0
+        ? issues.map(issue => `- ${issue.type} at ${issue.step}: ${issue.target} — ${issue.detail}\n`).join('')
+        : '- Every target was reachable with Tab and Enter/Space\n';
+    }
+
+    return `${section}\nWeigh these findings in the feature accessibility score and cite them as blockers where they stop the persona.\n\n`;
+  }
+
+  /**
+   * Slowest steps and budget breaches, as evidence for the task completion efficiency score
+   */
+  buildPerformanceSection(steps, performance) {
+    const measured = steps.filter(step => step.metrics);
+    if (measured.length === 0) return '';
+
+    let section = `## Performance\n`;
+    const slowest = [...measured]
+      .sort((a, b) => (b.metrics.lcp ?? b.duration) - (a.metrics.lcp ?? a.duration))
+      .slice(0, 5);
+    slowest.forEach(step => {
+      const { metrics } = step;
+      const values = ['lcp', 'cls', 'inp', 'tbt', 'requests', 'bytes']
+        .filter(metric => metrics[metric] !== null && metrics[metric] !== undefined)
+        .map(metric => `${BUDGET_METRICS[metric].label} ${formatMetric(metric, metrics[metric])}`);
+      section += `- ${step.stepId}: took ${step.duration}ms${values.length > 0 ? `; ${values.join(', ')}` : ''}\n`;
+    });
+
+    const breaches = performance?.breaches || [];
+    if (breaches.length > 0) {
+      section += `\nPerformance budget breaches:\n`;
+      breaches.forEach(b => {
+        section += `- ${b.stepId}: ${BUDGET_METRICS[b.metric].label} ${formatMetric(b.metric, b.value)} exceeds the ${formatMetric(b.metric, b.max)} budget\n`;
+      });
+    }
+
+    return `${section}\nUse these measurements as evidence for the task completion efficiency score; slow or over-budget steps are friction for the persona.\n\n`;
+  }
+
+  /**
+   * Console and network errors seen during the run, so blockers can cite real failures
+   */
+  buildDiagnosticsSection(diagnostics) {
+    if (!diagnostics) return '';
+
+    const { counts, messages } = diagnostics;
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    if (total === 0) {
+      return `## Console and Network Errors\nNo console errors, uncaught exceptions or failed requests were observed.\n\n`;
+    }
+
+    let section = `## Console and Network Errors\n`;
+    section += Object.entries(counts)
+      .filter(([, count]) => count > 0)
+      .map(([type, count]) => `- ${SIGNAL_TYPES[type]}: ${count}`)
+      .join('\n') + '\n\n';
+    messages.slice(0, 15).forEach(entry => {
+      section += `- [${entry.type}] step ${entry.steps.join(', ')}${entry.count > 1 ? ` (×${entry.count})` : ''}: ${entry.message}\n`;
+    });
+
+    return `${section}\nGround blockers in these errors where they explain a failed or confusing step; ignore noise that had no visible effect.\n\n`;
+  }
+
+  /**
+   * Failed visual comparisons as classified by the triage pass, so real
+   * regressions count against the UI score and run-to-run noise doesn't
+   */
+  buildVisualTriageSection(visualTriage) {
+    if (!visualTriage || visualTriage.length === 0) return '';
+
+    let section = `## Visual Changes Since the Baseline\n`;
+    visualTriage.forEach(change => {
+      section += `- ${change.name}${change.stepId ? ` (step \`${change.stepId}\`)` : ''}: ${change.diffPercentage.toFixed(2)}% different — ${TRIAGE_CATEGORIES[change.category]}, ${change.severity} severity. ${change.description}\n`;
+    });
+
+    return `${section}\nTreat layout breaks and missing content as regressions and cite them as blockers when their severity is high; ignore dynamic-content noise, and don't penalise intentional redesigns for differing from the baseline.\n\n`;
+  }
+
   async buildEvaluationPrompt(artifacts, persona, screenshots) {
     const steps = artifacts.steps || [];
     const success = artifacts.success || false;
@@ -135,7 +239,7 @@ Deliverables:
 
 ## Execution Summary
 - **Success**: ${success ? 'Yes' : 'No'}
-- **Total Steps**: ${steps.length}
+${artifacts.outcome ? `- **Goal Outcome**: ${artifacts.outcome.status} — ${artifacts.outcome.reason}\n` : ''}- **Total Steps**: ${steps.length}
 - **Screenshots**: ${screenshots.length}
 - **Product URL**: ${artifacts.config?.productUrl || 'Not specified'}
 
@@ -144,6 +248,9 @@ Deliverables:
 
     steps.forEach((step, index) => {
       prompt += `${index + 1}. **${step.timestamp}** - ${step.stepId}: ${step.success ? '✅' : '❌'}\n`;
+      if (step.result?.reasoning) {
+        prompt += `   Persona reasoning: ${step.result.reasoning}\n`;
+      }
       if (step.result) {
         prompt += `   Result: ${JSON.stringify(step.result)}\n`;
       }
@@ -153,11 +260,20 @@ Deliverables:
       prompt += '\n';
     });
 
+    prompt += this.buildAccessibilitySection(artifacts.accessibility);
+    prompt += this.buildPerformanceSection(steps, artifacts.performance);
+    prompt += this.buildDiagnosticsSection(artifacts.diagnostics);
+    prompt += this.buildVisualTriageSection(artifacts.visualTriage);
+
     if (screenshots.length > 0) {
       prompt += `## Screenshots Available\n`;
       screenshots.forEach((screenshot, index) => {
-        prompt += `${index + 1}. ${path.basename(screenshot)}\n`;
+        const stepId = artifacts.screenshotSteps?.[path.basename(screenshot)];
+        prompt += `${index + 1}. ${path.basename(screenshot)}${stepId ? ` (step \`${stepId}\`)` : ''}\n`;
       });
+      if (this.attachImages) {
+        prompt += `\nThe screenshots are attached as images after this message, each labelled with its step ID. Base the user interface quality score on what is actually on screen, and cite step IDs as evidence in your justifications.\n`;
+      }
       prompt += '\n';
     }
 
@@ -210,36 +326,38 @@ Format your response as JSON with the following structure:
     return prompt;
   }
 
+  /**
+   * Extract, normalise and validate the evaluation JSON.
+   * Returns `{ evaluation, errors }`; a non-empty `errors` triggers a repair request.
+   */
   parseEvaluation(evaluationText) {
-    try {
-      // Try to extract JSON from the response
-      const jsonMatch = evaluationText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      
-      throw new Error(`❌ Could not parse JSON from AI response. 
-      
-The AI evaluation returned an invalid response format. Please check:
-1. The OpenAI API key is valid and has sufficient credits
-2. The API endpoint is accessible
-3. The model 'gpt-4-turbo-preview' is available
+    const jsonMatch = (evaluationText || '').match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      return { evaluation: null, errors: ['The response does not contain a JSON object'] };
+    }
 
-The system requires real AI evaluation and cannot fallback to simulation.`);
+    let raw;
+    try {
+      raw = JSON.parse(jsonMatch[0]);
     } catch (error) {
-      if (error.message.includes('Could not parse JSON')) {
-        throw error; // Re-throw our custom error
-      }
-      
-      throw new Error(`❌ Error parsing AI evaluation: ${error.message}
-      
-Please ensure:
-1. The AI response format is valid
-2. The OpenAI API is returning proper JSON
-3. Your API key has sufficient credits
-
-The system requires real AI evaluation and cannot fallback to simulation.`);
+      return { evaluation: null, errors: [`The response is not valid JSON: ${error.message}`] };
     }
+
+    const evaluation = normalizeEvaluation(raw);
+    return { evaluation, errors: validateEvaluation(evaluation) };
+  }
+
+  buildRepairPrompt(errors) {
+    return `Your evaluation does not match the required schema:
+
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply with the complete corrected evaluation as a single JSON object, using exactly these keys:
+- "summary": string
+- "rubric": object with ${RUBRIC_KEYS.map(key => `"${key}"`).join(', ')}, each {"score": integer 1-5, "justification": string}
+- "blockers": array of up to 5 strings
+- "quick_wins": array of up to 5 strings
+- "verdict": one of ${VERDICTS.map(verdict => `"${verdict}"`).join(', ')}`;
   }
 
   async generateVisualAnalysis(screenshots) {
@@ -268,36 +386,33 @@ Screenshots: ${screenshots.map(s => path.basename(s)).join(', ')}
 
 Provide a concise analysis focusing on the most important visual and UX issues.`;
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4-vision-preview',
+      const response = await this.provider.complete({
+        purpose: 'visual-analysis',
         messages: [
           {
             role: 'user',
             content: [
               { type: 'text', text: prompt },
               ...await Promise.all(screenshots.map(async screenshot => ({
-                type: 'image_url',
-                image_url: {
-                  url: `data:image/png;base64,${await this.encodeImage(screenshot)}`
-                }
+                type: 'image',
+                mediaType: 'image/png',
+                data: await this.encodeImage(screenshot)
               })))
             ]
           }
         ],
-        max_tokens: 1000
+        maxTokens: 1000
       });
 
-      return response.choices[0].message.content;
+      return response.text;
     } catch (error) {
       if (error.message.includes('401') || error.message.includes('Incorrect API key')) {
-        throw new Error(`❌ Invalid OpenAI API key for visual analysis.
+        throw new Error(`❌ Invalid ${this.provider.name} API key for visual analysis.
         
 Please ensure:
 1. Your API key is correct and active
-2. You have sufficient credits in your OpenAI account
-3. The key has access to GPT-4 Vision models
-
-Get a valid API key from: https://platform.openai.com/api-keys
+2. You have sufficient credits in your ${this.provider.name} account
+3. The key has access to the vision-capable model '${this.config.model}'
 
 The system requires real visual analysis and cannot fallback to simulation.`);
       } else {
@@ -305,14 +420,75 @@ The system requires real visual analysis and cannot fallback to simulation.`);
         
 Please ensure:
 1. Your internet connection is stable
-2. OpenAI API is accessible
-3. Your API key has access to GPT-4 Vision models
+2. The ${this.provider.name} API is accessible
+3. The model '${this.config.model}' accepts images
 
 The system requires real visual analysis and cannot fallback to simulation.`);
       }
     }
   }
 
+  /**
+   * Screenshots as labelled image parts for the evaluation message.
+   * Images are cropped to the top of the page and downscaled; when there are
+   * more screenshots than AI_IMAGE_BUDGET allows, several are tiled into one image.
+   */
+  async buildScreenshotParts(artifacts, screenshots) {
+    const { imageBudget, imageWidth } = this.config;
+    if (!this.attachImages || screenshots.length === 0) {
+      if (screenshots.length > 0 && imageBudget > 0) {
+        console.log(`ℹ️ ${this.config.model} can't read images; evaluating without the ${screenshots.length} screenshot(s)`);
+      }
+      return [];
+    }
+
+    const maxPerImage = 4;
+    let selected = screenshots.map(screenshot => ({
+      path: screenshot,
+      stepId: artifacts.screenshotSteps?.[path.basename(screenshot)] || path.basename(screenshot, '.png')
+    }));
+
+    // Sample evenly (always keeping the final state) when even tiling can't fit everything
+    const capacity = imageBudget * maxPerImage;
+    if (selected.length > capacity) {
+      const last = selected.length - 1;
+      selected = Array.from({ length: capacity }, (_, i) => selected[Math.round(i * last / (capacity - 1))]);
+    }
+
+    const perImage = Math.ceil(selected.length / imageBudget);
+    const columns = Math.min(perImage, 2);
+    const cellWidth = Math.floor((imageWidth - 8 * (columns - 1)) / columns);
+    const positions = perImage <= 2 ? ['left', 'right'] : ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+    const parts = [];
+    for (let i = 0; i < selected.length; i += perImage) {
+      const group = selected.slice(i, i + perImage);
+      const images = [];
+      for (const screenshot of group) {
+        try {
+          const png = await readPNG(screenshot.path);
+          images.push(resize(crop(png, Math.round(png.width * 1.5)), cellWidth));
+        } catch (error) {
+          console.warn(`⚠️ Could not prepare screenshot ${path.basename(screenshot.path)}:`, error.message);
+          images.push(null);
+        }
+      }
+
+      const available = group.filter((_, index) => images[index]);
+      if (available.length === 0) continue;
+
+      const label = available.length === 1
+        ? `Screenshot for step \`${available[0].stepId}\` (top of page):`
+        : `Screenshots for steps ${available.map((screenshot, index) => `\`${screenshot.stepId}\` (${positions[index]})`).join(', ')} (top of page):`;
+
+      const sheet = available.length === 1 ? images.find(Boolean) : tile(images.filter(Boolean), columns);
+      parts.push({ type: 'text', text: label });
+      parts.push({ type: 'image', mediaType: 'image/png', data: encodePNG(sheet) });
+    }
+
+    return parts;
+  }
+
   async encodeImage(imagePath) {
     try {
       const imageBuffer = await fs.readFile(imagePath);
@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+
+/**
+ * Accessibility checks
+ * An in-page rule engine run after every step, and a keyboard-only driver
+ * that reaches elements with Tab and activates them with Enter/Space.
+ */
+
+export const A11Y_RULES = {
+  'color-contrast': 'Text contrast below WCAG AA (4.5:1, or 3:1 for large text)',
+  'label': 'Form fields, buttons and links without an accessible name',
+  'image-alt': 'Images without alternative text',
+  'landmarks': 'Missing or duplicated page landmarks',
+  'heading-order': 'Missing h1 or skipped heading levels',
+  'aria': 'Invalid roles, broken ARIA references and hidden focusable content'
+};
+
+const IMPACT_ORDER = ['critical', 'serious', 'moderate', 'minor'];
+const MAX_PER_RULE = 10;
+const MAX_TABS = 100;
+const MAX_FOCUS_ORDER = 500;
+
+/**
+ * Runs in the page. Must stay self-contained: Playwright serialises it.
+ */
+function auditPage(maxPerRule) {
+  const violations = [];
+  const counts = {};
+
+  const clip = (text, max = 60) => (text || '').replace(/\s+/g, ' ').trim().slice(0, max);
+
+  const isVisible = (el) => {
+    const rect = el.getBoundingClientRect();
+    const style = window.getComputedStyle(el);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+  };
+
+  const describe = (el) => {
+    let target = el.tagName.toLowerCase();
+    if (el.id) target += `#${el.id}`;
+    else if (el.getAttribute('name')) target += `[name="${el.getAttribute('name')}"]`;
+    else if (el.classList.length > 0) target += `.${[...el.classList].slice(0, 2).join('.')}`;
+    return target;
+  };
+
+  const report = (rule, impact, el, message) => {
+    counts[rule] = (counts[rule] || 0) + 1;
+    if (counts[rule] > maxPerRule) return;
+    violations.push({ rule, impact, message, target: describe(el), snippet: clip(el.outerHTML, 120) });
+  };
+
+  const textOf = (id) => document.getElementById(id)?.textContent || '';
+
+  const accessibleName = (el) => {
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy && clip(labelledBy.split(/\s+/).map(textOf).join(' '))) return true;
+    if (clip(el.getAttribute('aria-label'))) return true;
+    if (el.labels && [...el.labels].some(label => clip(label.textContent))) return true;
+    if (clip(el.getAttribute('title'))) return true;
+    if (['BUTTON', 'A', 'SUMMARY'].includes(el.tagName) || el.getAttribute('role')) {
+      if (clip(el.innerText)) return true;
+      if ([...el.querySelectorAll('img[alt], [aria-label]')].some(child => clip(child.getAttribute('alt') || child.getAttribute('aria-label')))) return true;
+    }
+    if (el.tagName === 'INPUT' && ['submit', 'reset', 'button'].includes(el.type) && clip(el.value)) return true;
+    if (el.tagName === 'INPUT' && el.type === 'image' && clip(el.getAttribute('alt'))) return true;
+    return false;
+  };
+
+  // label: form fields, buttons and links need an accessible name
+  for (const el of document.querySelectorAll('input, select, textarea, button, a[href], [role="button"], [role="link"], [role="checkbox"], [role="textbox"]')) {
+    if (el.tagName === 'INPUT' && el.type === 'hidden') continue;
+    if (!isVisible(el) || accessibleName(el)) continue;
+    const field = ['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName) || el.getAttribute('role') === 'textbox';
+    const placeholderOnly = field && clip(el.getAttribute('placeholder'));
+    report('label', 'critical', el, placeholderOnly
+      ? `Field is only described by its placeholder "${clip(el.getAttribute('placeholder'), 40)}"`
+      : `${field ? 'Form field' : el.tagName === 'A' ? 'Link' : 'Button'} has no accessible name`);
+  }
+
+  // image-alt: informative images need alt text; alt="" marks decorative images
+  for (const el of document.querySelectorAll('img, [role="img"]')) {
+    if (!isVisible(el) || el.getAttribute('aria-hidden') === 'true') continue;
+    if (el.tagName === 'IMG' ? !el.hasAttribute('alt') && !el.getAttribute('aria-label') && !el.getAttribute('aria-labelledby') : !accessibleName(el)) {
+      report('image-alt', 'critical', el, 'Image has no alt text');
+    }
+  }
+
+  // landmarks: exactly one main region
+  const mains = document.querySelectorAll('main, [role="main"]');
+  if (mains.length === 0) {
+    report('landmarks', 'moderate', document.body, 'Page has no main landmark (<main> or role="main")');
+  } else if (mains.length > 1) {
+    report('landmarks', 'moderate', mains[1], `Page has ${mains.length} main landmarks`);
+  }
+
+  // heading-order: an h1, and no skipped levels
+  const headings = [...document.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]')].filter(isVisible);
+  const levelOf = (el) => el.getAttribute('role') === 'heading'
+    ? parseInt(el.getAttribute('aria-level') || '2', 10)
+    : parseInt(el.tagName.slice(1), 10);
+  if (!headings.some(el => levelOf(el) === 1)) {
+    report('heading-order', 'moderate', document.body, 'Page has no level-one heading');
+  }
+  headings.reduce((previous, el) => {
+    const level = levelOf(el);
+    if (previous && level > previous + 1) {
+      report('heading-order', 'moderate', el, `Heading level jumps from h${previous} to h${level} ("${clip(el.textContent, 40)}")`);
+    }
+    return level;
+  }, 0);
+
+  // aria: valid roles, resolvable references, no focusable content hidden from assistive technology
+  const roles = new Set([
+    'alert', 'alertdialog', 'application', 'article', 'banner', 'button', 'cell', 'checkbox', 'columnheader',
+    'combobox', 'complementary', 'contentinfo', 'definition', 'dialog', 'directory', 'document', 'feed',
+    'figure', 'form', 'grid', 'gridcell', 'group', 'heading', 'img', 'link', 'list', 'listbox', 'listitem',
+    'log', 'main', 'marquee', 'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio',
+    'meter', 'navigation', 'none', 'note', 'option', 'presentation', 'progressbar', 'radio', 'radiogroup',
+    'region', 'row', 'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider',
+    'spinbutton', 'status', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term', 'textbox', 'timer',
+    'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'
+  ]);
+  const requiredStates = { checkbox: 'aria-checked', radio: 'aria-checked', switch: 'aria-checked', slider: 'aria-valuenow', combobox: 'aria-expanded' };
+  const interactiveRoles = ['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'slider', 'textbox'];
+  const focusableSelector = 'a[href], button, input:not([type="hidden"]), select, textarea, [tabindex]:not([tabindex="-1"]), [contenteditable="true"]';
+
+  for (const el of document.querySelectorAll('[role]')) {
+    const role = el.getAttribute('role').trim().split(/\s+/)[0];
+    if (!roles.has(role)) {
+      report('aria', 'serious', el, `Unknown ARIA role "${role}"`);
+      continue;
+    }
+    const native = ['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON', 'A'].includes(el.tagName);
+    if (requiredStates[role] && !native && !el.hasAttribute(requiredStates[role])) {
+      report('aria', 'serious', el, `role="${role}" needs ${requiredStates[role]}`);
+    }
+    if (interactiveRoles.includes(role) && !native && !el.hasAttribute('tabindex') && isVisible(el)) {
+      report('aria', 'serious', el, `role="${role}" element is not keyboard focusable (add tabindex="0")`);
+    }
+  }
+
+  for (const attribute of ['aria-labelledby', 'aria-describedby', 'aria-controls']) {
+    for (const el of document.querySelectorAll(`[${attribute}]`)) {
+      const missing = el.getAttribute(attribute).split(/\s+/).filter(id => id && !document.getElementById(id));
+      if (missing.length > 0) {
+        report('aria', 'serious', el, `${attribute} points to missing id(s): ${missing.join(', ')}`);
+      }
+    }
+  }
+
+  for (const el of document.querySelectorAll('[aria-hidden="true"]')) {
+    const focusable = el.matches(focusableSelector) ? el : el.querySelector(focusableSelector);
+    if (focusable && !focusable.disabled) {
+      report('aria', 'serious', focusable, 'Focusable element is hidden from assistive technology (aria-hidden="true")');
+    }
+  }
+
+  // color-contrast: visible text against the first opaque background behind it
+  const parseColor = (value) => {
+    const match = value.match(/rgba?\(([^)]+)\)/);
+    if (!match) return null;
+    const [r, g, b, a = 1] = match[1].split(/[,\s/]+/).filter(Boolean).map(Number);
+    return { r, g, b, a };
+  };
+  const luminance = ({ r, g, b }) => {
+    const channel = (c) => {
+      const value = c / 255;
+      return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+    };
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+  };
+  const backgroundOf = (el) => {
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const style = window.getComputedStyle(node);
+      if (style.backgroundImage !== 'none') return null;
+      const color = parseColor(style.backgroundColor);
+      if (color && color.a >= 1) return color;
+    }
+    return { r: 255, g: 255, b: 255, a: 1 };
+  };
+
+  let checked = 0;
+  for (const el of document.body ? document.body.querySelectorAll('*') : []) {
+    if (checked >= 800) break;
+    const hasText = [...el.childNodes].some(node => node.nodeType === 3 && node.textContent.trim());
+    if (!hasText || !isVisible(el)) continue;
+    checked++;
+
+    const style = window.getComputedStyle(el);
+    const foreground = parseColor(style.color);
+    const background = backgroundOf(el);
+    if (!foreground || !background || foreground.a < 1) continue;
+
+    const [light, dark] = [luminance(foreground), luminance(background)].sort((a, b) => b - a);
+    const ratio = (light + 0.05) / (dark + 0.05);
+    const size = parseFloat(style.fontSize);
+    const large = size >= 24 || (size >= 18.66 && parseInt(style.fontWeight, 10) >= 700);
+    const required = large ? 3 : 4.5;
+    if (ratio < required) {
+      report('color-contrast', 'serious', el, `Contrast ${ratio.toFixed(2)}:1 is below ${required}:1 for "${clip(el.textContent, 40)}"`);
+    }
+  }
+
+  return {
+    url: location.href,
+    violations,
+    counts
+  };
+}
+
+/**
+ * Runs the rule engine and keeps every result, labelled with the step it followed
+ */
+export class AccessibilityAuditor {
+  constructor() {
+    this.audits = [];
+  }
+
+  async audit(page, stepId) {
+    const result = await page.evaluate(auditPage, MAX_PER_RULE);
+    this.audits.push({ stepId, ...result });
+    return result;
+  }
+
+  /**
+   * Violations merged across steps: one entry per rule and element, with
+   * the steps it was seen on, most severe first
+   */
+  summarize() {
+    const merged = new Map();
+    for (const audit of this.audits) {
+      for (const violation of audit.violations) {
+        const key = `${violation.rule}|${violation.target}|${violation.message}`;
+        if (!merged.has(key)) merged.set(key, { ...violation, url: audit.url, steps: [] });
+        const entry = merged.get(key);
+        if (audit.stepId && !entry.steps.includes(audit.stepId)) entry.steps.push(audit.stepId);
+      }
+    }
+    return [...merged.values()].sort((a, b) => IMPACT_ORDER.indexOf(a.impact) - IMPACT_ORDER.indexOf(b.impact));
+  }
+
+  toJSON() {
+    return {
+      violations: this.summarize(),
+      steps: Object.fromEntries(this.audits.map(audit => [audit.stepId, audit.violations.length]))
+    };
+  }
+}
+
+/**
+ * Keyboard-only driver: reaches targets with Tab, activates them with
+ * Enter or Space, and records the focus order and any focus traps.
+ */
+export class KeyboardNavigator {
+  constructor({ stepId = () => null } = {}) {
+    this.stepId = stepId;
+    this.focusOrder = [];
+    this.issues = [];
+  }
+
+  /**
+   * Press Tab until the target has focus. Fails when the target is not
+   * focusable or focus cycles without reaching it.
+   */
+  async focus(page, locator) {
+    const target = await locator.elementHandle({ timeout: 5000 });
+    const seen = new Set();
+    const cycle = [];
+
+    for (let presses = 0; presses <= MAX_TABS; presses++) {
+      const state = await page.evaluate((el) => {
+        const active = document.activeElement;
+        const clip = (text, max = 60) => (text || '').replace(/\s+/g, ' ').trim().slice(0, max);
+        window.__vmFocusSeq = window.__vmFocusSeq || 0;
+        if (active && active !== document.body && !active.dataset.vmFocus) active.dataset.vmFocus = String(++window.__vmFocusSeq);
+
+        const focusable = el.tabIndex >= 0 && !el.disabled && el.getAttribute('aria-hidden') !== 'true';
+        const tabbable = [...document.querySelectorAll('a[href], button, input, select, textarea, summary, [tabindex], [contenteditable="true"]')]
+          .filter(node => node.tabIndex >= 0 && !node.disabled && node.getClientRects().length > 0).length;
+
+        return {
+          reached: active === el || (active !== document.body && el.contains(active)),
+          focusable,
+          tabbable,
+          id: active && active !== document.body ? active.dataset.vmFocus : 'body',
+          element: active && active !== document.body ? {
+            tag: active.tagName.toLowerCase(),
+            role: active.getAttribute('role') || undefined,
+            name: clip(active.getAttribute('aria-label') || active.innerText || active.value || active.getAttribute('placeholder') || active.getAttribute('title'))
+          } : null
+        };
+      }, target);
+
+      if (presses === 0 && !state.focusable) {
+        const issue = await this.recordIssue(page, 'not-focusable', target, 'Element cannot receive keyboard focus');
+        throw new Error(`${issue.target} cannot be reached with the keyboard (not focusable)`);
+      }
+
+      if (presses > 0 && state.element && this.focusOrder.length < MAX_FOCUS_ORDER) {
+        this.focusOrder.push({ step: this.stepId(), ...state.element });
+      }
+
+      if (state.reached) return { presses };
+
+      if (seen.has(state.id)) {
+        // Focus came back around without reaching the target. If it never left a
+        // small group of elements (and never passed through the page), it is trapped.
+        const trapped = !seen.has('body') && cycle.length < state.tabbable;
+        const issue = await this.recordIssue(page, trapped ? 'focus-trap' : 'unreachable', target, trapped
+          ? `Focus is trapped in a cycle of ${cycle.length} element(s): ${cycle.map(entry => entry ? `${entry.tag} "${entry.name}"` : 'page').join(' → ')}`
+          : 'Tab order cycles through the page without reaching the element');
+        throw new Error(`${issue.target} cannot be reached with the keyboard (${issue.type})`);
+      }
+      seen.add(state.id);
+      cycle.push(state.element);
+
+      await page.keyboard.press('Tab');
+    }
+
+    const issue = await this.recordIssue(page, 'unreachable', target, `Not reached after ${MAX_TABS} Tab presses`);
+    throw new Error(`${issue.target} cannot be reached with the keyboard (${issue.type})`);
+  }
+
+  /**
+   * Focus the target and press Space for checkboxes, radios and switches, Enter otherwise
+   */
+  async activate(page, locator) {
+    const { presses } = await this.focus(page, locator);
+    const toggle = await locator.evaluate(el => ['checkbox', 'radio'].includes(el.type) ||
+      ['checkbox', 'radio', 'switch'].includes(el.getAttribute('role')));
+    const key = toggle ? 'Space' : 'Enter';
+    await page.keyboard.press(key);
+    return { presses, key };
+  }
+
+  /**
+   * Replace the focused field's content by typing
+   */
+  async type(page, locator, value) {
+    const { presses } = await this.focus(page, locator);
+    await page.keyboard.press('ControlOrMeta+A');
+    await page.keyboard.press('Backspace');
+    await page.keyboard.type(value);
+    return { presses };
+  }
+
+  /**
+   * Native selects open with the keyboard; choosing the option is delegated to
+   * Playwright, trying `fallback` when `option` doesn't match
+   */
+  async select(page, locator, option, fallback) {
+    const { presses } = await this.focus(page, locator);
+    await locator.selectOption(option, { timeout: 5000 })
+      .catch(error => {
+        if (fallback === undefined) throw error;
+        return locator.selectOption(fallback, { timeout: 5000 });
+      });
+    return { presses };
+  }
+
+  async recordIssue(page, type, target, detail) {
+    const description = await target.evaluate(el => {
+      const name = (el.getAttribute('aria-label') || el.innerText || el.getAttribute('placeholder') || '').replace(/\s+/g, ' ').trim().slice(0, 40);
+      return `${el.tagName.toLowerCase()}${name ? ` "${name}"` : ''}`;
+    }).catch(() => 'element');
+    const issue = { type, step: this.stepId(), url: page.url(), target: description, detail };
+    this.issues.push(issue);
+    return issue;
+  }
+
+  toJSON() {
+    return {
+      focusOrder: this.focusOrder,
+      issues: this.issues
+    };
+  }
+}
+
+export default AccessibilityAuditor;
@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+
+import { createProvider, resolveAIConfig } from './providers/index.js';
+
+const ACTIONS = ['click', 'fill', 'select', 'scroll', 'back', 'done', 'abandon'];
+
+const SNAPSHOT_LIMIT = 60;
+
+/**
+ * LLM-driven navigator for persona runs
+ * Observes the page, asks the model for the next action and performs it
+ */
+export class AgentNavigator {
+  constructor(persona, options = {}) {
+    this.persona = persona;
+    this.options = {
+      maxSteps: 15,
+      credentials: {},
+      ...options
+    };
+
+    this.provider = createProvider(resolveAIConfig(options.ai));
+  }
+
+  /**
+   * Capture a compact snapshot of the visible interactive elements.
+   * Each element is tagged with a data-vm-ref attribute so the chosen
+   * action can be resolved back to a locator.
+   */
+  async observe(page) {
+    const snapshot = await page.evaluate((limit) => {
+      const selector = [
+        'a[href]', 'button', 'input', 'select', 'textarea', 'summary',
+        '[role="button"]', '[role="link"]', '[role="checkbox"]', '[role="radio"]',
+        '[role="tab"]', '[role="menuitem"]', '[role="option"]', '[role="switch"]',
+        '[contenteditable="true"]'
+      ].join(', ');
+
+      const isVisible = (el) => {
+        const rect = el.getBoundingClientRect();
+        const style = window.getComputedStyle(el);
+        return rect.width > 0 && rect.height > 0 &&
+          style.visibility !== 'hidden' && style.display !== 'none';
+      };
+
+      const clip = (text, max = 80) => (text || '').replace(/\s+/g, ' ').trim().slice(0, max);
+
+      const accessibleName = (el) => {
+        const labelledBy = el.getAttribute('aria-labelledby');
+        if (labelledBy) {
+          const label = labelledBy.split(' ').map(id => document.getElementById(id)?.innerText || '').join(' ');
+          if (label.trim()) return clip(label);
+        }
+        if (el.getAttribute('aria-label')) return clip(el.getAttribute('aria-label'));
+        if (el.labels && el.labels.length > 0) return clip(el.labels[0].innerText);
+        return clip(el.innerText || el.value || el.getAttribute('placeholder') ||
+          el.getAttribute('title') || el.getAttribute('alt') || el.getAttribute('name'));
+      };
+
+      document.querySelectorAll('[data-vm-ref]').forEach(el => el.removeAttribute('data-vm-ref'));
+
+      const elements = [];
+      for (const el of document.querySelectorAll(selector)) {
+        if (elements.length >= limit) break;
+        if (!isVisible(el) || el.disabled) continue;
+
+        const ref = `e${elements.length + 1}`;
+        el.setAttribute('data-vm-ref', ref);
+
+        const entry = {
+          ref,
+          tag: el.tagName.toLowerCase(),
+          role: el.getAttribute('role') || undefined,
+          name: accessibleName(el),
+          type: el.getAttribute('type') || undefined
+        };
+
+        if (el.tagName === 'A') entry.href = clip(el.getAttribute('href'), 120);
+        if (el.tagName === 'SELECT') entry.options = [...el.options].slice(0, 10).map(o => clip(o.text, 40));
+        if (['INPUT', 'TEXTAREA'].includes(el.tagName) && el.type !== 'password') entry.value = clip(el.value, 40);
+        if (el.getAttribute('placeholder')) entry.placeholder = clip(el.getAttribute('placeholder'), 40);
+
+        elements.push(entry);
+      }
+
+      return {
+        url: location.href,
+        title: document.title,
+        headings: [...document.querySelectorAll('h1, h2, h3')].filter(isVisible).slice(0, 10).map(h => clip(h.innerText)),
+        text: clip(document.body?.innerText, 1500),
+        scroll: {
+          y: Math.round(window.scrollY),
+          height: document.documentElement.scrollHeight,
+          viewport: window.innerHeight
+        },
+        elements
+      };
+    }, SNAPSHOT_LIMIT);
+
+    return snapshot;
+  }
+
+  /**
+   * Ask the model for the next action given the current observation and
+   * the steps recorded so far.
+   */
+  async decide(observation, history, turn) {
+    const response = await this.provider.complete({
+      purpose: 'navigation',
+      system: this.getSystemPrompt(),
+      messages: [
+        { role: 'user', content: this.buildDecisionPrompt(observation, history, turn) }
+      ],
+      json: true,
+      temperature: 0.2,
+      maxTokens: 400
+    });
+
+    return this.parseDecision(response.text, observation);
+  }
+
+  getSystemPrompt() {
+    return `You are role-playing a product user to test a web application. You control a browser one action at a time.
+
+Respond with a single JSON object:
+{
+  "action": "click | fill | select | scroll | back | done | abandon",
+  "ref": "element ref from the snapshot (click, fill, select)",
+  "value": "text to type, option to select, or up/down for scroll",
+  "reasoning": "one or two sentences explaining why, from the persona's point of view"
+}
+
+Rules:
+- Only use refs that appear in the current snapshot.
+- Use {{email}} and {{password}} as values for login fields; they are replaced with the test credentials.
+- Choose "done" once the persona's goal is achieved, and "abandon" if the persona would realistically give up.
+- Prefer what a real user would do next over exhaustive exploration.${this.options.keyboard ? `
+- You use the keyboard only: chosen elements are reached with Tab and activated with Enter or Space. An element that cannot be reached that way is a real barrier for you.` : ''}`;
+  }
+
+  buildDecisionPrompt(observation, history, turn) {
+    const recent = history.slice(-8).map((step, index) => {
+      const reasoning = step.result?.reasoning ? ` — ${step.result.reasoning}` : '';
+      const outcome = step.success ? '✅' : `❌ ${step.error}`;
+      return `${index + 1}. ${step.stepId}: ${step.description} ${outcome}${reasoning}`;
+    });
+
+    const elements = observation.elements.map(el => {
+      const details = [el.role || el.tag, el.type && `type=${el.type}`, el.href && `href=${el.href}`,
+        el.placeholder && `placeholder="${el.placeholder}"`, el.value && `value="${el.value}"`,
+        el.options && `options=[${el.options.join(', ')}]`].filter(Boolean).join(' ');
+      return `[${el.ref}] ${details} "${el.name}"`;
+    });
+
+    return `## Persona
+- **ID**: ${this.persona.id}
+- **Goal**: ${this.persona.goal}
+- **Task**: ${this.persona.task}
+
+## Progress
+Action ${turn} of ${this.options.maxSteps}
+
+${recent.length > 0 ? recent.join('\n') : 'No actions taken yet.'}
+
+## Current Page
+- **URL**: ${observation.url}
+- **Title**: ${observation.title}
+- **Headings**: ${observation.headings.join(' | ') || 'none'}
+- **Scroll**: ${observation.scroll.y}px of ${observation.scroll.height}px (viewport ${observation.scroll.viewport}px)
+
+### Interactive Elements
+${elements.join('\n') || 'No interactive elements visible.'}
+
+### Visible Text
+${observation.text}
+
+What is the next action?`;
+  }
+
+  parseDecision(text, observation) {
+    let decision;
+    try {
+      decision = JSON.parse(text.match(/\{[\s\S]*\}/)?.[0] || text);
+    } catch (error) {
+      throw new Error(`❌ Could not parse navigation decision: ${error.message}`);
+    }
+
+    if (!ACTIONS.includes(decision.action)) {
+      throw new Error(`❌ Unknown navigation action "${decision.action}". Expected one of: ${ACTIONS.join(', ')}`);
+    }
+
+    const target = decision.ref ? observation.elements.find(el => el.ref === decision.ref) : null;
+
+    return {
+      action: decision.action,
+      ref: decision.ref || null,
+      value: decision.value ?? null,
+      reasoning: decision.reasoning || '',
+      target
+    };
+  }
+
+  describe(decision) {
+    const label = decision.target ? `${decision.target.role || decision.target.tag} "${decision.target.name}"` : decision.ref;
+    switch (decision.action) {
+      case 'click': return `Click ${label}`;
+      case 'fill': return `Fill ${label}`;
+      case 'select': return `Select "${decision.value}" in ${label}`;
+      case 'scroll': return `Scroll ${decision.value || 'down'}`;
+      case 'back': return 'Go back';
+      case 'done': return 'Persona declared goal achieved';
+      case 'abandon': return 'Persona abandoned the goal';
+      default: return decision.action;
+    }
+  }
+
+  /**
+   * Perform a decision in the browser and return the step result that is
+   * recorded alongside the model's reasoning.
+   */
+  async act(page, decision) {
+    const locator = decision.ref ? page.locator(`[data-vm-ref="${decision.ref}"]`) : null;
+
+    if (['click', 'fill', 'select'].includes(decision.action)) {
+      if (!locator || await locator.count() === 0) {
+        throw new Error(`Element ${decision.ref} is not in the current snapshot`);
+      }
+    }
+
+    const keyboard = this.options.keyboard;
+    let keys;
+
+    switch (decision.action) {
+      case 'click':
+        if (keyboard) {
+          keys = await keyboard.activate(page, locator);
+        } else {
+          await locator.click({ timeout: 5000 });
+        }
+        await page.waitForLoadState('domcontentloaded').catch(() => {});
+        break;
+      case 'fill':
+        if (keyboard) {
+          keys = await keyboard.type(page, locator, this.resolveValue(decision.value));
+        } else {
+          await locator.fill(this.resolveValue(decision.value), { timeout: 5000 });
+        }
+        break;
+      case 'select': {
+        const value = this.resolveValue(decision.value);
+        if (keyboard) {
+          keys = await keyboard.select(page, locator, { label: value }, value);
+        } else {
+          await locator.selectOption({ label: value }, { timeout: 5000 })
+            .catch(() => locator.selectOption(value, { timeout: 5000 }));
+        }
+        break;
+      }
+      case 'scroll':
+        if (keyboard) {
+          await page.keyboard.press(decision.value === 'up' ? 'PageUp' : 'PageDown');
+        } else {
+          await page.mouse.wheel(0, decision.value === 'up' ? -600 : 600);
+        }
+        break;
+      case 'back':
+        await page.goBack({ waitUntil: 'domcontentloaded' });
+        break;
+    }
+
+    await page.waitForTimeout(500);
+
+    return {
+      action: decision.action,
+      target: decision.target ? { ref: decision.ref, role: decision.target.role || decision.target.tag, name: decision.target.name } : undefined,
+      value: decision.action === 'fill' && /\{\{password\}\}/.test(decision.value || '') ? '********' : decision.value ?? undefined,
+      reasoning: decision.reasoning,
+      ...(keys && { tabPresses: keys.presses }),
+      url: page.url()
+    };
+  }
+
+  resolveValue(value) {
+    return String(value ?? '')
+      .replace(/\{\{email\}\}/g, this.options.credentials.email || '')
+      .replace(/\{\{password\}\}/g, this.options.credentials.password || '');
+  }
+}
+
+export default AgentNavigator;
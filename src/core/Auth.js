@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { Journey } from './Journey.js';
+import { getSetting } from './Config.js';
+
+/**
+ * Login strategies for credentials profiles
+ *
+ * form:         selector map for the email/password (and optional one-time code) fields
+ * flow:         journey steps for multi-page, SSO and MFA logins
+ * storageState: a Playwright storage state file saved earlier; no login is performed
+ *
+ * Sessions captured by a login are cached per profile and reused by later runs.
+ */
+export const LOGIN_STRATEGIES = ['form', 'flow', 'storageState'];
+
+const DEFAULT_TIMEOUT = 15000;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * RFC 6238 time-based one-time password (HMAC-SHA1, 30 second period, 6 digits)
+ */
+export function generateTOTP(secret, time = Date.now(), { period = 30, digits = 6 } = {}) {
+  const cleaned = String(secret).replace(/[\s=-]/g, '').toUpperCase();
+  let bits = '';
+  for (const char of cleaned) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error(`❌ TOTP secret is not valid base32 (unexpected "${char}")`);
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  const key = Buffer.from(bytes);
+
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(time / 1000 / period)));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+  return String(code).padStart(digits, '0');
+}
+
+export class Auth {
+  constructor(profileName, profile, options = {}) {
+    this.profileName = profileName;
+    this.profile = profile;
+    this.options = {
+      baseUrl: getSetting('productUrl'),
+      stateDir: process.env.AUTH_STATE_DIR || path.join(process.cwd(), '.validate-me', 'auth'),
+      ...options
+    };
+    this.strategy = LOGIN_STRATEGIES.find(strategy => profile[strategy] !== undefined) || null;
+  }
+
+  /**
+   * Where the session captured for this profile is cached
+   */
+  get statePath() {
+    return path.join(this.options.stateDir, `${this.profileName}.json`);
+  }
+
+  /**
+   * Storage state for new browser contexts: the profile's saved file, else
+   * the cached session from an earlier login, else null (log in first)
+   */
+  async sessionState() {
+    if (this.strategy === 'storageState') {
+      const file = path.resolve(this.profile.storageState);
+      try {
+        await fs.access(file);
+      } catch {
+        throw new Error(`❌ storageState file for credentials "${this.profileName}" not found: ${file}`);
+      }
+      return file;
+    }
+
+    try {
+      await fs.access(this.statePath);
+      return this.statePath;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Run the profile's login strategy on the page and cache the resulting session
+   */
+  async login(page) {
+    if (this.strategy === 'form') {
+      await this.loginWithForm(page);
+    } else if (this.strategy === 'flow') {
+      await this.loginWithFlow(page);
+    } else {
+      throw new Error(`❌ Credentials "${this.profileName}" have no login strategy to run (${this.strategy ? 'storageState is used as-is' : `add one of: ${LOGIN_STRATEGIES.join(', ')}`})`);
+    }
+
+    if (this.profile.success) {
+      const expected = this.profile.success;
+      await page.waitForURL(url => url.toString().includes(expected), { timeout: DEFAULT_TIMEOUT })
+        .catch(() => { throw new Error(`Login did not reach ${expected} (ended on ${page.url()})`); });
+    } else {
+      await page.waitForLoadState('networkidle').catch(() => {});
+    }
+
+    await this.saveState(page.context());
+    return { url: page.url(), strategy: this.strategy };
+  }
+
+  async loginWithForm(page) {
+    const { form } = this.profile;
+    await page.goto(new URL(this.profile.loginUrl || '/', this.options.baseUrl).toString(), { waitUntil: 'networkidle' });
+
+    await page.locator(form.email).first().fill(this.profile.email || '', { timeout: DEFAULT_TIMEOUT });
+    // Identifier-first logins show the password field on a second screen
+    if (form.next) await page.locator(form.next).first().click({ timeout: DEFAULT_TIMEOUT });
+    await page.locator(form.password).first().fill(this.profile.password || '', { timeout: DEFAULT_TIMEOUT });
+    await this.submit(page, form.submit, form.password);
+
+    if (form.totp) {
+      await page.locator(form.totp).first().fill(this.oneTimeCode(), { timeout: DEFAULT_TIMEOUT });
+      await this.submit(page, form.totpSubmit, form.totp);
+    }
+  }
+
+  async submit(page, submitSelector, fieldSelector) {
+    if (submitSelector) {
+      await page.locator(submitSelector).first().click({ timeout: DEFAULT_TIMEOUT });
+    } else {
+      await page.locator(fieldSelector).first().press('Enter');
+    }
+    await page.waitForLoadState('domcontentloaded').catch(() => {});
+  }
+
+  /**
+   * Flow steps are journey steps; {{email}}, {{password}} and {{totp}} are
+   * replaced when the step runs, so one-time codes are always fresh.
+   */
+  async loginWithFlow(page) {
+    const journey = new Journey(this.profile.flow, {
+      baseUrl: this.options.baseUrl,
+      variables: {
+        email: this.profile.email,
+        password: this.profile.password,
+        totp: () => this.oneTimeCode()
+      }
+    });
+
+    if (this.profile.loginUrl && journey.steps[0]?.type !== 'goto') {
+      await page.goto(new URL(this.profile.loginUrl, this.options.baseUrl).toString(), { waitUntil: 'networkidle' });
+    }
+
+    const context = { page, takeScreenshot: async () => null };
+    for (const step of journey.steps) {
+      try {
+        await journey.executeStep(context, step);
+      } catch (error) {
+        throw new Error(`Login step ${step.id} (${step.name}) failed: ${error.message}`);
+      }
+    }
+  }
+
+  oneTimeCode() {
+    if (!this.profile.totpSecret) {
+      throw new Error(`❌ Credentials "${this.profileName}" need a totpSecret to generate one-time codes`);
+    }
+    return generateTOTP(this.profile.totpSecret);
+  }
+
+  async saveState(context) {
+    await fs.mkdir(path.dirname(this.statePath), { recursive: true });
+    // The state holds session cookies; keep it out of the product's repository
+    await fs.writeFile(path.join(path.dirname(this.statePath), '.gitignore'), '*\n');
+    await context.storageState({ path: this.statePath });
+    console.log(`🔐 Session for "${this.profileName}" cached at ${path.relative(process.cwd(), this.statePath)}`);
+  }
+}
+
+export default Auth;
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import path from 'path';
+import { TestRunner } from './TestRunner.js';
+import { BaselineStore, screenshotKeys, viewportKey } from './Baselines.js';
+import { variantLabel } from './Matrix.js';
+
+/**
+ * Move baselines from the old shared layouts into persona/browser/viewport keys
+ *
+ *   baselines/<file>.png             (one folder for everything)
+ *   baselines/<browser[-device]>/<file>.png
+ *
+ * Old baselines say nothing about the persona, so each file is matched with
+ * the runs in reports/ that captured a screenshot of that name on that
+ * browser/device, and copied to the key of every persona that did.
+ */
+
+async function readdir(dir) {
+  return fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+}
+
+/**
+ * Legacy baseline files, with the variant label of the folder they were in (null for the root)
+ */
+async function legacyBaselines(root) {
+  const files = [];
+  for (const entry of await readdir(root)) {
+    if (entry.isFile() && entry.name.endsWith('.png')) {
+      files.push({ path: path.join(root, entry.name), filename: entry.name, variant: null });
+    } else if (entry.isDirectory()) {
+      // New-style persona folders only hold browser folders; a folder of images is an old variant folder
+      for (const child of await readdir(path.join(root, entry.name))) {
+        if (child.isFile() && child.name.endsWith('.png')) {
+          files.push({ path: path.join(root, entry.name, child.name), filename: child.name, variant: entry.name });
+        }
+      }
+    }
+  }
+  return files;
+}
+
+/**
+ * Every run in reports/ with the baseline key its screenshots belong to
+ */
+async function knownRuns(reportsRoot, root) {
+  const runs = [];
+  for (const entry of await readdir(reportsRoot)) {
+    if (!entry.isDirectory()) continue;
+    let runner;
+    try {
+      runner = await TestRunner.fromArtifacts(path.join(reportsRoot, entry.name));
+    } catch {
+      continue;
+    }
+    runs.push({
+      variant: variantLabel(runner.variant),
+      names: new Map([...screenshotKeys(runner.screenshots)].map(([name, screenshot]) => [path.basename(screenshot), name])),
+      store: new BaselineStore({
+        persona: runner.persona.id,
+        browser: runner.variant.browser,
+        viewport: viewportKey(runner.variant.device, runner.getContextOptions().viewport),
+        root
+      })
+    });
+  }
+  return runs;
+}
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @returns {{ moved: Array<{ from, to: string[] }>, unmatched: string[], skipped: string[] }}
+ */
+export async function migrateBaselines({ root, reportsRoot = path.resolve(process.env.REPORTS_DIR || 'reports'), dryRun = false, keep = false } = {}) {
+  const files = await legacyBaselines(root);
+  const result = { moved: [], unmatched: [], skipped: [] };
+  if (files.length === 0) return result;
+
+  const runs = await knownRuns(reportsRoot, root);
+
+  for (const file of files) {
+    // Baselines from before browser folders existed were all taken on desktop Chromium
+    const variant = file.variant || 'chromium';
+    const targets = new Map();
+    for (const run of runs.filter(candidate => candidate.variant === variant && candidate.names.has(file.filename))) {
+      const target = path.join(run.store.dir, `${run.names.get(file.filename)}.png`);
+      targets.set(target, run.store);
+    }
+
+    if (targets.size === 0) {
+      result.unmatched.push(file.path);
+      continue;
+    }
+
+    const copied = [];
+    for (const target of targets.keys()) {
+      if (await exists(target)) {
+        result.skipped.push(target);
+        continue;
+      }
+      if (!dryRun) {
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.copyFile(file.path, target);
+      }
+      copied.push(target);
+    }
+
+    result.moved.push({ from: file.path, to: copied });
+    if (!dryRun && !keep) await fs.unlink(file.path);
+  }
+
+  if (!dryRun && !keep) {
+    // Drop old variant folders the migration emptied
+    for (const dir of new Set(files.filter(file => file.variant).map(file => path.dirname(file.path)))) {
+      if ((await readdir(dir)).length === 0) await fs.rmdir(dir);
+    }
+  }
+
+  return result;
+}
+
+export default migrateBaselines;
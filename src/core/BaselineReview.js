@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import path from 'path';
+import { TestRunner } from './TestRunner.js';
+import { VisualRegressionTester } from './VisualRegression.js';
+import { RunComparison } from './RunComparison.js';
+import { screenshotKeys, matchesPattern } from './Baselines.js';
+import { variantLabel } from './Matrix.js';
+
+/**
+ * Review a run's screenshots against its baselines
+ * Approving copies the run's screenshot into the baseline store; rejecting
+ * keeps the baseline as it is. Decisions are kept in the run's
+ * `baseline-review.json` so `status` doesn't list them again.
+ */
+
+const REVIEW_FILE = 'baseline-review.json';
+
+export const REVIEW_STATES = {
+  passed: '✅ matches baseline',
+  changed: '❌ differs from baseline',
+  new: '🆕 no baseline',
+  error: '⚠️ could not compare',
+  approved: '👍 approved',
+  rejected: '👎 rejected'
+};
+
+export class BaselineReview {
+  constructor(runner, store, decisions = {}) {
+    this.runner = runner;
+    this.store = store;
+    this.decisions = decisions;
+  }
+
+  get runDir() {
+    return this.runner.reportsDir;
+  }
+
+  get name() {
+    return path.basename(this.runDir);
+  }
+
+  static async open(run, overrides = {}) {
+    const runner = await TestRunner.fromArtifacts(await RunComparison.resolve(run));
+    let decisions = {};
+    try {
+      decisions = JSON.parse(await fs.readFile(path.join(runner.reportsDir, REVIEW_FILE), 'utf8'));
+    } catch {
+      // Not reviewed yet
+    }
+    return new BaselineReview(runner, await runner.baselineStore(overrides), decisions);
+  }
+
+  /**
+   * The most recent run of every persona and browser/device combination
+   */
+  static async latest(reportsRoot = path.resolve(process.env.REPORTS_DIR || 'reports'), overrides = {}) {
+    const entries = (await fs.readdir(reportsRoot, { withFileTypes: true }).catch(() => []))
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      // Run directories start with their timestamp, so name order is time order
+      .sort()
+      .reverse();
+
+    const seen = new Set();
+    const reviews = [];
+    for (const entry of entries) {
+      let review;
+      try {
+        review = await BaselineReview.open(path.join(reportsRoot, entry), overrides);
+      } catch {
+        continue;
+      }
+      const key = `${review.runner.persona.id}|${variantLabel(review.runner.variant)}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      reviews.push(review);
+    }
+    return reviews.reverse();
+  }
+
+  /**
+   * Baseline names and screenshot paths, optionally limited to names matching any of `patterns`
+   */
+  screenshots(patterns = []) {
+    return [...screenshotKeys(this.runner.screenshots)]
+      .filter(([name]) => patterns.length === 0 || patterns.some(pattern => matchesPattern(pattern, name)))
+      .map(([name, screenshot]) => ({ name, screenshot }));
+  }
+
+  /**
+   * Compare every screenshot with the baseline it would be checked against now
+   */
+  async status() {
+    const tester = new VisualRegressionTester(this.runDir, {
+      viewport: this.runner.screenshotViewport(),
+      masks: this.runner.screenshotMasks,
+      visual: this.runner.config.visual
+    });
+    await fs.mkdir(tester.diffDir, { recursive: true });
+
+    const results = [];
+    for (const { name, screenshot } of this.screenshots()) {
+      const baseline = await this.store.resolve(name);
+      const entry = { name, screenshot, baseline: baseline?.path || null, inheritedFrom: baseline?.inherited ? baseline.branch || 'shared' : null };
+
+      if (this.decisions[name]) {
+        results.push({ ...entry, state: this.decisions[name].decision });
+      } else if (!baseline) {
+        results.push({ ...entry, state: 'new' });
+      } else {
+        try {
+          const comparison = await tester.compareImages(screenshot, baseline.path, path.join(tester.diffDir, `review-${path.basename(screenshot)}`));
+          results.push({ ...entry, state: comparison.passed ? 'passed' : 'changed', diffPercentage: comparison.diffPercentage, sizeChange: comparison.sizeChange, diff: comparison.diffPath });
+        } catch (error) {
+          results.push({ ...entry, state: 'error', error: error.message });
+        }
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Make the run's screenshots the baselines for its key
+   */
+  async approve(screenshots) {
+    const approved = [];
+    for (const { name, screenshot } of screenshots) {
+      approved.push(await this.store.write(name, screenshot));
+      this.decisions[name] = { decision: 'approved', at: new Date().toISOString() };
+    }
+    await this.save();
+    return approved;
+  }
+
+  /**
+   * Keep the current baselines. A baseline the run itself created (new
+   * screenshots outside strict mode) is removed, so the next run starts fresh.
+   */
+  async reject(screenshots) {
+    const removed = [];
+    for (const { name, screenshot } of screenshots) {
+      const own = path.join(this.store.dir, `${name}.png`);
+      const [current, baseline] = await Promise.all([fs.readFile(screenshot), fs.readFile(own).catch(() => null)]);
+      if (baseline && current.equals(baseline)) {
+        await this.store.remove(name);
+        removed.push(own);
+      }
+      this.decisions[name] = { decision: 'rejected', at: new Date().toISOString() };
+    }
+    await this.save();
+    return removed;
+  }
+
+  async save() {
+    await fs.writeFile(path.join(this.runDir, REVIEW_FILE), JSON.stringify(this.decisions, null, 2));
+  }
+
+  /**
+   * Remove baselines the latest run of their key no longer captures, and
+   * diff images older than `maxAge` from every run
+   */
+  static async prune({ reportsRoot = path.resolve(process.env.REPORTS_DIR || 'reports'), maxAge, dryRun = false, overrides = {} } = {}) {
+    const baselines = [];
+    for (const review of await BaselineReview.latest(reportsRoot, overrides)) {
+      const captured = new Set(review.screenshots().map(({ name }) => name));
+      for (const name of await review.store.list()) {
+        if (captured.has(name)) continue;
+        if (!dryRun) await review.store.remove(name);
+        baselines.push(path.join(review.store.dir, `${name}.png`));
+      }
+    }
+
+    const diffs = [];
+    const runs = (await fs.readdir(reportsRoot, { withFileTypes: true }).catch(() => [])).filter(entry => entry.isDirectory());
+    for (const run of runs) {
+      diffs.push(...await new VisualRegressionTester(path.join(reportsRoot, run.name)).cleanupOldDiffs(maxAge, { dryRun }));
+    }
+
+    return { baselines, diffs };
+  }
+}
+
+export default BaselineReview;
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Visual baseline store
+ *
+ * Baselines are keyed by persona, browser and viewport (device name or
+ * width×height), and optionally by branch:
+ *
+ *   baselines/<persona>/<browser>/<viewport>/<screenshot>.png
+ *   baselines/branches/<branch>/<persona>/<browser>/<viewport>/<screenshot>.png
+ *
+ * A screenshot without a baseline under its own key is compared with the
+ * parent's: the parent branch when one is configured, then the shared
+ * baselines. New baselines are always written under the run's own key.
+ */
+
+export function slug(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9.]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * `iphone-13` for emulated devices, `1280x720` for plain viewports
+ */
+export function viewportKey(device, viewport) {
+  if (device) return slug(device);
+  return viewport ? `${viewport.width}x${viewport.height}` : 'default';
+}
+
+/**
+ * Baseline name for a screenshot file. The capture-order prefix is dropped
+ * so a page keeps its baseline when earlier steps add or remove screenshots;
+ * repeats of a name get `@2`, `@3`…
+ */
+export function screenshotKeys(screenshots) {
+  const seen = {};
+  return new Map(screenshots.map(screenshot => {
+    const name = path.basename(screenshot, '.png').replace(/^\d+-/, '');
+    seen[name] = (seen[name] || 0) + 1;
+    return [seen[name] > 1 ? `${name}@${seen[name]}` : name, screenshot];
+  }));
+}
+
+/**
+ * Match a baseline name against a glob such as `agent-*` or `navigate`
+ */
+export function matchesPattern(pattern, name) {
+  const expression = pattern.split('').map(char => {
+    if (char === '*') return '.*';
+    if (char === '?') return '.';
+    return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${expression}$`).test(name);
+}
+
+/**
+ * Branch baselines are used when BASELINE_BRANCH names one, or is `auto`
+ * (the current git branch, resolved by the caller)
+ */
+export function baselineOptions() {
+  return {
+    root: process.env.BASELINE_DIR ? path.resolve(process.env.BASELINE_DIR) : path.join(process.cwd(), 'baselines'),
+    branch: process.env.BASELINE_BRANCH || null,
+    parentBranch: process.env.BASELINE_PARENT || null
+  };
+}
+
+export class BaselineStore {
+  constructor({ persona, browser, viewport, branch = null, parentBranch = null, root = baselineOptions().root }) {
+    this.key = { persona, browser, viewport, branch };
+    this.root = root;
+    this.parentBranch = parentBranch && parentBranch !== branch ? parentBranch : null;
+  }
+
+  dirFor(branch) {
+    const { persona, browser, viewport } = this.key;
+    return path.join(this.root, ...(branch ? ['branches', slug(branch)] : []), slug(persona), browser, viewport);
+  }
+
+  get dir() {
+    return this.dirFor(this.key.branch);
+  }
+
+  /**
+   * Directories searched for a baseline, own key first
+   */
+  get chain() {
+    const branches = [this.key.branch, this.parentBranch, null].filter((branch, index, all) => all.indexOf(branch) === index);
+    return branches.map(branch => ({ branch, dir: this.dirFor(branch) }));
+  }
+
+  describe() {
+    const { persona, browser, viewport, branch } = this.key;
+    return `${persona}/${browser}/${viewport}${branch ? ` @ ${branch}` : ''}`;
+  }
+
+  /**
+   * The baseline a screenshot is compared with, or null when there is none anywhere in the chain
+   */
+  async resolve(name) {
+    for (const [index, { branch, dir }] of this.chain.entries()) {
+      const file = path.join(dir, `${name}.png`);
+      try {
+        await fs.access(file);
+        return { path: file, inherited: index > 0, branch };
+      } catch {
+        // Fall back to the next key
+      }
+    }
+    return null;
+  }
+
+  async write(name, source) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const file = path.join(this.dir, `${name}.png`);
+    await fs.copyFile(source, file);
+    return file;
+  }
+
+  async list() {
+    try {
+      return (await fs.readdir(this.dir)).filter(file => file.endsWith('.png')).map(file => path.basename(file, '.png')).sort();
+    } catch {
+      return [];
+    }
+  }
+
+  async remove(name) {
+    await fs.unlink(path.join(this.dir, `${name}.png`));
+  }
+
+  /**
+   * Every key with baselines under `root`, shared ones first
+   */
+  static async all(root = baselineOptions().root) {
+    const dirs = async dir => (await fs.readdir(dir, { withFileTypes: true }).catch(() => []))
+      .filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+
+    const stores = [];
+    const walk = async (base, branch) => {
+      for (const persona of await dirs(base)) {
+        if (!branch && persona === 'branches') continue;
+        for (const browser of await dirs(path.join(base, persona))) {
+          for (const viewport of await dirs(path.join(base, persona, browser))) {
+            stores.push(new BaselineStore({ persona, browser, viewport, branch, root }));
+          }
+        }
+      }
+    };
+
+    await walk(root, null);
+    for (const branch of await dirs(path.join(root, 'branches'))) {
+      await walk(path.join(root, 'branches', branch), branch);
+    }
+    return stores;
+  }
+}
+
+export default BaselineStore;
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+import { matchesPattern } from './Baselines.js';
+import { DIFF_METRICS } from './ImageDiff.js';
+
+/**
+ * Stable, masked screenshots
+ * Before a capture, CSS animations and transitions are frozen, the caret is
+ * hidden, and web fonts and images are given time to finish loading.
+ * Elements matching `ignore` selectors are painted over and, with the
+ * declared `mask` regions, recorded in screenshot pixels so the visual diff
+ * can leave them out. The same settings choose the diff metric and
+ * thresholds the screenshot is compared with.
+ *
+ *   visual:
+ *     ignore: [".timestamp", ".avatar"]
+ *     mask: [{ x: 0, y: 0, width: 1280, height: 64 }]
+ *     metric: ssim
+ *     threshold: 2
+ *     screenshots:
+ *       "agent-*": { ignore: [".carousel"], threshold: 10 }
+ *       checkout: { element: "#order-summary", pixelThreshold: 0.2 }
+ */
+
+export const MASK_COLOR = '#FF00FF';
+
+const SETTLE_TIMEOUT = 5000;
+const REGION_KEYS = ['x', 'y', 'width', 'height'];
+const COMPARISON_KEYS = ['metric', 'threshold', 'pixelThreshold'];
+
+function isMapping(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateSettings(settings, label, allowed) {
+  const errors = [];
+  for (const key of Object.keys(settings)) {
+    if (!allowed.includes(key)) errors.push(`${label}unknown key "${key}" (allowed: ${allowed.join(', ')})`);
+  }
+  if (settings.ignore !== undefined && (!Array.isArray(settings.ignore) || settings.ignore.some(selector => typeof selector !== 'string'))) {
+    errors.push(`${label}"ignore" must be a list of selectors`);
+  }
+  if (settings.mask !== undefined) {
+    const valid = Array.isArray(settings.mask) && settings.mask.every(region => isMapping(region)
+      && Object.keys(region).every(key => REGION_KEYS.includes(key))
+      && REGION_KEYS.every(key => typeof region[key] === 'number' && region[key] >= 0));
+    if (!valid) errors.push(`${label}"mask" must be a list of { x, y, width, height } regions in CSS pixels`);
+  }
+  if (settings.element !== undefined && typeof settings.element !== 'string') {
+    errors.push(`${label}"element" must be a selector`);
+  }
+  if (settings.metric !== undefined && !DIFF_METRICS.includes(settings.metric)) {
+    errors.push(`${label}"metric" must be one of: ${DIFF_METRICS.join(', ')}`);
+  }
+  if (settings.threshold !== undefined && !(typeof settings.threshold === 'number' && settings.threshold >= 0 && settings.threshold <= 100)) {
+    errors.push(`${label}"threshold" must be a percentage between 0 and 100`);
+  }
+  if (settings.pixelThreshold !== undefined && !(typeof settings.pixelThreshold === 'number' && settings.pixelThreshold >= 0 && settings.pixelThreshold <= 1)) {
+    errors.push(`${label}"pixelThreshold" must be a number between 0 and 1`);
+  }
+  return errors;
+}
+
+/**
+ * Check a `visual:` mapping and return a list of problems
+ */
+export function validateVisual(visual) {
+  if (!isMapping(visual)) return ['must be a mapping with ignore, mask, metric, thresholds and screenshots'];
+
+  const errors = validateSettings(visual, '', ['ignore', 'mask', ...COMPARISON_KEYS, 'screenshots']);
+  if (visual.screenshots !== undefined) {
+    if (!isMapping(visual.screenshots)) {
+      errors.push('"screenshots" must map screenshot names (or patterns such as "agent-*") to ignore, mask, element, metric and thresholds');
+    } else {
+      for (const [pattern, settings] of Object.entries(visual.screenshots)) {
+        if (!isMapping(settings)) {
+          errors.push(`"screenshots.${pattern}" must be a mapping`);
+          continue;
+        }
+        errors.push(...validateSettings(settings, `"screenshots.${pattern}": `, ['ignore', 'mask', 'element', ...COMPARISON_KEYS]));
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Check capture settings given inline on a journey `screenshot` step. The
+ * metric and thresholds are looked up by name when comparing, so they only
+ * go under `visual.screenshots`.
+ */
+export function validateScreenshotSettings(settings, label = '') {
+  return validateSettings(settings, label, ['ignore', 'mask', 'element']);
+}
+
+/**
+ * Persona ignore selectors and masks add to the shared ones; its `element`,
+ * metric and thresholds replace the shared ones
+ */
+export function mergeVisual(...layers) {
+  const merged = { ignore: [], mask: [], screenshots: {} };
+  for (const layer of layers) {
+    if (!layer) continue;
+    for (const key of COMPARISON_KEYS) {
+      if (layer[key] !== undefined) merged[key] = layer[key];
+    }
+    merged.ignore.push(...(layer.ignore || []));
+    merged.mask.push(...(layer.mask || []));
+    for (const [pattern, settings] of Object.entries(layer.screenshots || {})) {
+      const current = merged.screenshots[pattern] || {};
+      merged.screenshots[pattern] = {
+        ...current,
+        ...settings,
+        ignore: [...(current.ignore || []), ...(settings.ignore || [])],
+        mask: [...(current.mask || []), ...(settings.mask || [])]
+      };
+    }
+  }
+  return merged;
+}
+
+function pickComparison(settings) {
+  return Object.fromEntries(COMPARISON_KEYS.filter(key => settings?.[key] !== undefined).map(key => [key, settings[key]]));
+}
+
+/**
+ * Ignore selectors, mask regions, element, metric and thresholds for one
+ * screenshot, by its name without the capture number. Comparison settings
+ * not given anywhere are left out, so callers can fall back to their defaults.
+ */
+export function screenshotSettings(visual, name) {
+  const key = name.replace(/^\d+-/, '');
+  const settings = { ignore: [...(visual?.ignore || [])], mask: [...(visual?.mask || [])], element: null, ...pickComparison(visual) };
+  for (const [pattern, own] of Object.entries(visual?.screenshots || {})) {
+    if (!matchesPattern(pattern, key)) continue;
+    settings.ignore.push(...(own.ignore || []));
+    settings.mask.push(...(own.mask || []));
+    if (own.element) settings.element = own.element;
+    Object.assign(settings, pickComparison(own));
+  }
+  return settings;
+}
+
+/**
+ * Settings given for a single capture on top of the configured ones
+ */
+export function withOverrides(settings, overrides = {}) {
+  return {
+    ...settings,
+    ignore: [...settings.ignore, ...(overrides.ignore || [])],
+    mask: [...settings.mask, ...(overrides.mask || [])],
+    element: overrides.element || settings.element
+  };
+}
+
+/**
+ * Wait for web fonts and images in view to load, up to `timeout`. Lazy images
+ * outside the viewport never load on their own, so they aren't waited for.
+ */
+export async function stabilise(page, timeout = SETTLE_TIMEOUT) {
+  await page.evaluate(async limit => {
+    const pending = [...document.images]
+      .filter(image => !image.complete && image.loading !== 'lazy')
+      .map(image => new Promise(resolve => {
+        image.addEventListener('load', resolve, { once: true });
+        image.addEventListener('error', resolve, { once: true });
+      }));
+    await Promise.race([
+      Promise.all([document.fonts ? document.fonts.ready : null, ...pending]),
+      new Promise(resolve => setTimeout(resolve, limit))
+    ]);
+  }, timeout);
+}
+
+/**
+ * Take a full-page (or element) screenshot with animations frozen and the
+ * ignored elements painted over. Returns the masked regions in screenshot pixels.
+ */
+export async function captureScreenshot(page, filePath, settings = {}, { scale = 1 } = {}) {
+  await stabilise(page);
+
+  let element = null;
+  if (settings.element) {
+    element = page.locator(settings.element).first();
+    if (await element.count() === 0) throw new Error(`❌ No element matches "${settings.element}"`);
+    await element.scrollIntoViewIfNeeded();
+  }
+
+  // Image origin in viewport coordinates: the element's corner, or the top of the scrolled page
+  const origin = element
+    ? await element.boundingBox()
+    : await page.evaluate(() => ({ x: -window.scrollX, y: -window.scrollY }));
+
+  const locators = [];
+  const boxes = [];
+  for (const selector of settings.ignore || []) {
+    const locator = page.locator(selector);
+    locators.push(locator);
+    for (const match of await locator.all()) {
+      const box = await match.boundingBox();
+      if (box) boxes.push({ x: box.x - origin.x, y: box.y - origin.y, width: box.width, height: box.height });
+    }
+  }
+  boxes.push(...(settings.mask || []));
+
+  const options = { path: filePath, animations: 'disabled', caret: 'hide', mask: locators, maskColor: MASK_COLOR };
+  await (element ? element.screenshot(options) : page.screenshot({ ...options, fullPage: true }));
+
+  return boxes
+    .map(box => {
+      const x = Math.max(0, Math.floor(box.x * scale));
+      const y = Math.max(0, Math.floor(box.y * scale));
+      return {
+        x,
+        y,
+        width: Math.ceil((box.x + box.width) * scale) - x,
+        height: Math.ceil((box.y + box.height) * scale) - y
+      };
+    })
+    .filter(region => region.width > 0 && region.height > 0);
+}
@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import yaml from 'js-yaml';
+import { PROVIDERS } from './providers/index.js';
+import { CASSETTE_MODES } from './providers/CassetteProvider.js';
+import { REPORTERS } from './reporters/index.js';
+import { COMPARE_MODES } from './VisualRegression.js';
+import { DIFF_METRICS } from './ImageDiff.js';
+import { BROWSERS, parseList } from './Matrix.js';
+
+/**
+ * Layered configuration
+ * Every setting has a default, can be set in validate-me.config.(js|json|yaml),
+ * overridden by its environment variable, and then by its CLI flag. The
+ * resolved values are exported to the environment variables the rest of
+ * the code reads, or read directly with getSetting(), so a setting only has
+ * to be resolved once per process.
+ *
+ *   browser:
+ *     browsers: [chromium, firefox]
+ *     headful: false
+ *   ai:
+ *     provider: anthropic
+ *   visual:
+ *     threshold: 2
+ *   reports:
+ *     dir: out/reports
+ *     reporters: [junit]
+ *
+ * API keys and test credentials are only read from the environment.
+ */
+
+// Playwright trace and video recording: always, only for runs that fail, or never
+export const RECORDING_MODES = ['always', 'on-failure', 'off'];
+
+export const CONFIG_FILES = ['validate-me.config.js', 'validate-me.config.json', 'validate-me.config.yaml', 'validate-me.config.yml'];
+
+const SECRETS = ['apiKey', 'testEmail', 'testPassword'];
+
+/**
+ * key: { env, option (commander name of the CLI flag), type, default, values, min, max, description }
+ * `path` values from the config file are relative to the file
+ */
+export const SETTINGS = {
+  productUrl: { env: 'PRODUCT_URL', option: 'url', type: 'string', default: 'http://localhost:3000', description: 'Product URL to test' },
+  personasFile: { env: 'PERSONAS_FILE', option: 'personas', type: 'path', default: 'config/personas.yaml', description: 'Personas, credentials profiles, budgets and visual settings' },
+
+  'browser.browsers': { option: 'browser', type: 'list', values: BROWSERS, default: [], description: 'Browsers every persona runs on (default: the persona\'s own, else chromium)' },
+  'browser.devices': { option: 'device', type: 'list', default: [], description: 'Playwright devices every persona runs on (default: the persona\'s own)' },
+  'browser.headful': { env: 'HEADFUL', option: 'headful', type: 'boolean', default: false, description: 'Show the browser window' },
+  'browser.args': { env: 'BROWSER_ARGS', type: 'list', default: ['--no-sandbox', '--disable-setuid-sandbox'], description: 'Chromium launch arguments' },
+  'browser.maxSteps': { env: 'MAX_STEPS', type: 'integer', min: 1, default: 15, description: 'Agent actions per persona run' },
+  'browser.trace': { env: 'RECORD_TRACE', option: 'trace', type: 'string', values: RECORDING_MODES, default: 'off', description: 'Keep a Playwright trace per run' },
+  'browser.video': { env: 'RECORD_VIDEO', option: 'video', type: 'string', values: RECORDING_MODES, default: 'off', description: 'Keep a session video per run' },
+  'browser.har': { env: 'RECORD_HAR', option: 'har', type: 'boolean', default: false, description: 'Keep a network log (HAR) per run, with cookies, credential headers and request bodies redacted' },
+  'browser.authStateDir': { env: 'AUTH_STATE_DIR', type: 'path', default: '.validate-me/auth', description: 'Where `validate-me login` caches sessions' },
+
+  'ai.provider': { env: 'AI_PROVIDER', type: 'string', values: Object.keys(PROVIDERS), default: 'openai', description: 'LLM provider' },
+  'ai.model': { env: 'AI_MODEL', type: 'string', description: 'Model (default: the provider\'s)' },
+  'ai.baseUrl': { env: 'AI_BASE_URL', type: 'string', description: 'API base URL for openai-compatible providers' },
+  'ai.temperature': { env: 'AI_TEMPERATURE', type: 'number', min: 0, max: 2, default: 0.7, description: 'Evaluation sampling temperature' },
+  'ai.maxTokens': { env: 'AI_MAX_TOKENS', type: 'integer', min: 1, default: 2000, description: 'Evaluation response limit' },
+  'ai.maxRepairs': { env: 'AI_MAX_REPAIRS', type: 'integer', min: 0, default: 2, description: 'Repair requests for responses that don\'t match the schema' },
+  'ai.concurrency': { env: 'AI_CONCURRENCY', option: 'aiConcurrency', type: 'integer', min: 1, default: 4, description: 'AI requests in flight across workers' },
+  'ai.imageBudget': { env: 'AI_IMAGE_BUDGET', type: 'integer', min: 0, default: 6, description: 'Screenshots sent with the evaluation' },
+  'ai.imageWidth': { env: 'AI_IMAGE_WIDTH', type: 'integer', min: 1, default: 768, description: 'Width screenshots are scaled down to' },
+  'ai.cassette': { env: 'AI_CASSETTE', option: 'cassette', type: 'string', values: CASSETTE_MODES, default: 'passthrough', description: 'Record or replay AI calls' },
+  'ai.cassetteDir': { env: 'AI_CASSETTE_DIR', option: 'cassetteDir', type: 'path', description: 'Cassette recordings (default: <report dir>/cassette)' },
+  'ai.triageModel': { env: 'AI_TRIAGE_MODEL', type: 'string', description: 'Vision model for visual triage (default: ai.model)' },
+  'ai.triageLimit': { env: 'AI_TRIAGE_LIMIT', type: 'integer', min: 0, default: 10, description: 'Failed comparisons triaged per run' },
+
+  'visual.metric': { env: 'VISUAL_METRIC', option: 'metric', type: 'string', values: DIFF_METRICS, default: 'antialias', description: 'Visual diff metric' },
+  'visual.threshold': { env: 'VISUAL_THRESHOLD', option: 'threshold', type: 'number', min: 0, max: 100, default: 5, description: 'Diff % a screenshot may have and still pass' },
+  'visual.pixelThreshold': { env: 'VISUAL_PIXEL_THRESHOLD', type: 'number', min: 0, max: 1, default: 0.1, description: 'Colour difference for a pixel to count as changed' },
+  'visual.compareMode': { env: 'VISUAL_COMPARE_MODE', option: 'compareMode', type: 'string', values: COMPARE_MODES, default: 'full', description: 'How screenshots of different sizes are compared' },
+  'visual.strict': { env: 'VISUAL_STRICT', option: 'strictBaselines', type: 'boolean', default: false, description: 'Leave new screenshots pending until approved' },
+  'visual.triage': { env: 'VISUAL_TRIAGE', option: 'triage', type: 'boolean', default: false, description: 'Classify failed comparisons with the vision model' },
+  'visual.baselineDir': { env: 'BASELINE_DIR', type: 'path', default: 'baselines', description: 'Visual baselines' },
+  'visual.baselineBranch': { env: 'BASELINE_BRANCH', type: 'string', description: 'Keep baselines per branch (a branch name, or auto)' },
+  'visual.baselineParent': { env: 'BASELINE_PARENT', type: 'string', description: 'Branch whose baselines a branch without its own falls back to' },
+
+  'reports.dir': { env: 'REPORTS_DIR', option: 'reports', type: 'path', default: 'reports', description: 'Run report folders' },
+  'reports.reporters': { option: 'reporter', type: 'list', values: Object.keys(REPORTERS), default: [], description: 'Machine-readable reports written after each test command' },
+  'reports.reporterDir': { option: 'reporterDir', type: 'path', description: 'Directory for reporter files (default: reports.dir)' },
+  'reports.historyFile': { env: 'HISTORY_FILE', type: 'path', description: 'Run history index (default: <reports.dir>/history.jsonl)' }
+};
+
+const flag = option => `--${option.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+
+function isMapping(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Turn a config file value (typed) or an env/CLI value (text) into the
+ * setting's type. Returns `{ value }` or `{ error }`.
+ */
+function parseSetting(setting, raw, { text = false, baseDir = process.cwd() } = {}) {
+  let value = raw;
+  switch (setting.type) {
+    case 'boolean':
+      if (text && typeof raw === 'string') {
+        const normalized = raw.trim().toLowerCase();
+        if (['1', 'true', 'yes'].includes(normalized)) value = true;
+        else if (['0', 'false', 'no', ''].includes(normalized)) value = false;
+      }
+      if (typeof value !== 'boolean') return { error: `must be true or false${text ? ' (or 1/0)' : ''}` };
+      break;
+    case 'number':
+    case 'integer':
+      if (text && typeof raw === 'string' && raw.trim() !== '') value = Number(raw);
+      if (typeof value !== 'number' || !Number.isFinite(value) || (setting.type === 'integer' && !Number.isInteger(value))) {
+        return { error: `must be ${setting.type === 'integer' ? 'a whole number' : 'a number'}` };
+      }
+      if ((setting.min !== undefined && value < setting.min) || (setting.max !== undefined && value > setting.max)) {
+        return { error: `must be ${setting.max !== undefined ? `between ${setting.min} and ${setting.max}` : `at least ${setting.min}`}` };
+      }
+      break;
+    case 'list':
+      if (text && typeof raw === 'string') value = parseList(raw);
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) return { error: 'must be a list of names' };
+      break;
+    default:
+      if (typeof value !== 'string' || value === '') return { error: `must be a ${setting.type === 'path' ? 'path' : 'string'}` };
+      if (setting.type === 'path') value = path.resolve(baseDir, value);
+  }
+
+  const invalid = setting.values && (Array.isArray(value) ? value : [value]).filter(item => !setting.values.includes(item));
+  if (invalid?.length > 0) return { error: `must be one of: ${setting.values.join(', ')} (got "${invalid.join(', ')}")` };
+  return { value };
+}
+
+/**
+ * Config file settings by key, and a list of problems (unknown keys, wrong types)
+ */
+export function validateConfig(document, file) {
+  const values = {};
+  const errors = [];
+  if (!isMapping(document)) return { values, errors: ['must be a mapping of settings'] };
+
+  const sections = [...new Set(Object.keys(SETTINGS).filter(key => key.includes('.')).map(key => key.split('.')[0]))];
+  const walk = (mapping, prefix) => {
+    for (const [name, value] of Object.entries(mapping)) {
+      const key = prefix ? `${prefix}.${name}` : name;
+      if (SECRETS.includes(name)) {
+        errors.push(`"${key}": API keys and credentials are only read from the environment`);
+      } else if (SETTINGS[key]) {
+        const { value: parsed, error } = parseSetting(SETTINGS[key], value, { baseDir: path.dirname(file) });
+        if (error) errors.push(`"${key}" ${error}`);
+        else values[key] = parsed;
+      } else if (!prefix && sections.includes(name)) {
+        if (isMapping(value)) walk(value, name);
+        else errors.push(`"${key}" must be a mapping`);
+      } else {
+        const allowed = prefix
+          ? Object.keys(SETTINGS).filter(setting => setting.startsWith(`${prefix}.`)).map(setting => setting.slice(prefix.length + 1))
+          : [...Object.keys(SETTINGS).filter(setting => !setting.includes('.')), ...sections];
+        errors.push(`unknown setting "${key}" (allowed${prefix ? ` under ${prefix}` : ''}: ${allowed.join(', ')})`);
+      }
+    }
+  };
+  walk(document, null);
+  return { values, errors };
+}
+
+/**
+ * The config file to use: `file` when given, else the first of CONFIG_FILES in `dir`
+ */
+export async function findConfigFile(file, dir = process.cwd()) {
+  if (file) {
+    const resolved = path.resolve(file);
+    try {
+      await fs.access(resolved);
+    } catch {
+      throw new Error(`❌ Config file not found: ${resolved}`);
+    }
+    return resolved;
+  }
+  for (const name of CONFIG_FILES) {
+    const candidate = path.join(dir, name);
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch {
+      // Try the next name
+    }
+  }
+  return null;
+}
+
+export async function readConfigFile(file) {
+  try {
+    if (file.endsWith('.js')) {
+      const module = await import(pathToFileURL(file).href);
+      return module.default ?? module;
+    }
+    const source = await fs.readFile(file, 'utf8');
+    return file.endsWith('.json') ? JSON.parse(source) : yaml.load(source) ?? {};
+  } catch (error) {
+    throw new Error(`❌ Could not read config file ${path.relative(process.cwd(), file) || file}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve every setting: defaults < config file < environment < CLI flags.
+ * `cli` holds the flags given on the command line, by commander option name.
+ * Returns `{ file, values, sources }`; a source is 'default', 'file', 'env' or 'cli'.
+ */
+export async function resolveConfig({ file = null, cli = {}, env = process.env } = {}) {
+  const errors = [];
+  let fileValues = {};
+  if (file) {
+    const { values, errors: fileErrors } = validateConfig(await readConfigFile(file), file);
+    fileValues = values;
+    errors.push(...fileErrors.map(error => `${path.relative(process.cwd(), file) || file}: ${error}`));
+  }
+
+  const values = {};
+  const sources = {};
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    values[key] = setting.default;
+    sources[key] = 'default';
+    if (key in fileValues) {
+      values[key] = fileValues[key];
+      sources[key] = 'file';
+    }
+    if (setting.env && env[setting.env] !== undefined && env[setting.env] !== '') {
+      const { value, error } = parseSetting(setting, env[setting.env], { text: true });
+      if (error) errors.push(`${setting.env} ${error}`);
+      else {
+        values[key] = value;
+        sources[key] = 'env';
+      }
+    }
+    if (setting.option && cli[setting.option] !== undefined) {
+      const { value, error } = parseSetting(setting, cli[setting.option], { text: true });
+      if (error) errors.push(`${flag(setting.option)} ${error}`);
+      else {
+        values[key] = value;
+        sources[key] = 'cli';
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`❌ Invalid configuration:\n${errors.map(error => `- ${error}`).join('\n')}`);
+  }
+  return { file, values, sources };
+}
+
+// The configuration loadConfig() resolved for this process
+let loaded = null;
+
+/**
+ * Export settings that were set in the config file or on the command line
+ * (or need normalising, e.g. HEADFUL=true) to their environment variables
+ */
+export function applyConfig(config) {
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    const value = config.values[key];
+    if (!setting.env || config.sources[key] === 'default' || value === undefined) continue;
+    process.env[setting.env] = typeof value === 'boolean' ? (value ? '1' : '0') : Array.isArray(value) ? value.join(',') : String(value);
+  }
+  return config;
+}
+
+/**
+ * Find, resolve and apply the configuration for this process
+ */
+export async function loadConfig({ file, cli = {} } = {}) {
+  loaded = applyConfig(await resolveConfig({ file: await findConfigFile(file), cli }));
+  return loaded;
+}
+
+/**
+ * One resolved setting: from the configuration loaded for this process, else
+ * its environment variable or default (core modules used without the CLI)
+ */
+export function getSetting(key) {
+  if (loaded) return loaded.values[key];
+  const setting = SETTINGS[key];
+  const raw = setting.env ? process.env[setting.env] : undefined;
+  if (raw !== undefined && raw !== '') {
+    const { value, error } = parseSetting(setting, raw, { text: true });
+    if (!error) return value;
+  }
+  return setting.default;
+}
+
+/**
+ * "validate-me.config.yaml", "env VISUAL_THRESHOLD", "--threshold", "default"
+ */
+export function describeSource(config, key) {
+  const setting = SETTINGS[key];
+  switch (config.sources[key]) {
+    case 'file': return path.relative(process.cwd(), config.file) || config.file;
+    case 'env': return `env ${setting.env}`;
+    case 'cli': return flag(setting.option);
+    default: return 'default';
+  }
+}
+
+export function formatValue(value) {
+  if (value === undefined) return '—';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+  return String(value);
+}
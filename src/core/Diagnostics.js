@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+
+/**
+ * Page-level evidence for a run
+ * Console errors and warnings, uncaught page errors, failed requests and
+ * 4xx/5xx responses, each attributed to the step that was running.
+ */
+
+const MAX_EVENTS = 500;
+const MAX_MESSAGE_LENGTH = 300;
+
+// Requests cancelled by a navigation are normal browser behaviour, not failures
+const ABORTED_REQUEST = /ERR_ABORTED|NS_BINDING_ABORTED|cancelled/i;
+
+// Headers that carry sessions or credentials; their values never reach the saved HAR
+const SECRET_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key', 'x-auth-token', 'x-csrf-token'];
+const REDACTED = '[redacted]';
+
+export const SIGNAL_TYPES = {
+  'console-error': 'Console errors',
+  'console-warning': 'Console warnings',
+  'page-error': 'Uncaught exceptions',
+  'request-failed': 'Failed requests',
+  'http-error': 'HTTP 4xx/5xx responses'
+};
+
+export class Diagnostics {
+  constructor({ stepId = () => null } = {}) {
+    this.stepId = stepId;
+    this.events = [];
+    this.dropped = 0;
+  }
+
+  attach(page) {
+    page.on('console', message => {
+      if (message.type() !== 'error' && message.type() !== 'warning') return;
+      const location = message.location();
+      this.record(message.type() === 'error' ? 'console-error' : 'console-warning', message.text(), {
+        url: location?.url || page.url(),
+        ...(location?.lineNumber !== undefined && { line: location.lineNumber + 1 })
+      });
+    });
+
+    page.on('pageerror', error => {
+      this.record('page-error', error.message, { url: page.url() });
+    });
+
+    page.on('requestfailed', request => {
+      const reason = request.failure()?.errorText || 'failed';
+      if (ABORTED_REQUEST.test(reason)) return;
+      this.record('request-failed', `${request.method()} ${request.url()} — ${reason}`, {
+        url: request.url(),
+        method: request.method(),
+        resourceType: request.resourceType()
+      });
+    });
+
+    page.on('response', response => {
+      if (response.status() < 400) return;
+      const request = response.request();
+      this.record('http-error', `${response.status()} ${request.method()} ${response.url()}`, {
+        url: response.url(),
+        status: response.status(),
+        method: request.method(),
+        resourceType: request.resourceType()
+      });
+    });
+  }
+
+  record(type, message, details = {}) {
+    if (this.events.length >= MAX_EVENTS) {
+      this.dropped++;
+      return;
+    }
+    this.events.push({
+      type,
+      step: this.stepId(),
+      message: String(message).slice(0, MAX_MESSAGE_LENGTH),
+      timestamp: new Date().toISOString(),
+      ...details
+    });
+  }
+
+  /**
+   * Counts per type and per step, plus repeated messages collapsed into one entry
+   */
+  summarize() {
+    const counts = Object.fromEntries(Object.keys(SIGNAL_TYPES).map(type => [type, 0]));
+    const byStep = {};
+    const messages = new Map();
+
+    for (const event of this.events) {
+      counts[event.type]++;
+      const step = event.step || 'setup';
+      byStep[step] = byStep[step] || {};
+      byStep[step][event.type] = (byStep[step][event.type] || 0) + 1;
+
+      const key = `${event.type}|${event.message}`;
+      if (!messages.has(key)) messages.set(key, { type: event.type, message: event.message, count: 0, steps: [] });
+      const entry = messages.get(key);
+      entry.count++;
+      if (!entry.steps.includes(step)) entry.steps.push(step);
+    }
+
+    const severity = ['page-error', 'http-error', 'request-failed', 'console-error', 'console-warning'];
+    return {
+      counts,
+      byStep,
+      messages: [...messages.values()].sort((a, b) => severity.indexOf(a.type) - severity.indexOf(b.type) || b.count - a.count),
+      dropped: this.dropped
+    };
+  }
+
+  toJSON() {
+    return {
+      ...this.summarize(),
+      events: this.events
+    };
+  }
+}
+
+/**
+ * Rewrite a HAR in place without cookies, credential headers or request
+ * bodies (form logins post the password), so it can be kept as an artifact
+ */
+export async function redactHar(file) {
+  const har = JSON.parse(await fs.readFile(file, 'utf8'));
+  const redactHeaders = headers => (headers || []).forEach(header => {
+    if (SECRET_HEADERS.includes(header.name.toLowerCase())) header.value = REDACTED;
+  });
+  const redactCookies = cookies => (cookies || []).forEach(cookie => { cookie.value = REDACTED; });
+
+  for (const { request, response } of har.log?.entries || []) {
+    redactHeaders(request?.headers);
+    redactCookies(request?.cookies);
+    if (request?.postData) {
+      request.postData.text = REDACTED;
+      (request.postData.params || []).forEach(param => { param.value = REDACTED; });
+    }
+    redactHeaders(response?.headers);
+    redactCookies(response?.cookies);
+  }
+  await fs.writeFile(file, JSON.stringify(har, null, 2));
+}
+
+export default Diagnostics;
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Evaluation schema
+ * Normalises the model's evaluation object and reports every way it
+ * deviates from the shape the reports rely on.
+ */
+
+export const RUBRIC_KEYS = [
+  'onboarding_clarity',
+  'task_completion_efficiency',
+  'user_interface_quality',
+  'flow_friction',
+  'content_clarity',
+  'feature_accessibility',
+  'overall_satisfaction'
+];
+
+export const VERDICTS = ['ship', 'fix then ship', 'rethink'];
+
+const MAX_LIST_ITEMS = 5;
+
+const TOP_LEVEL_ALIASES = {
+  summary: 'summary',
+  rubric: 'rubric',
+  scores: 'rubric',
+  blockers: 'blockers',
+  topblockers: 'blockers',
+  quickwins: 'quickWins',
+  topquickwins: 'quickWins',
+  verdict: 'verdict'
+};
+
+/**
+ * snake_case, camelCase, kebab-case and "Title case" all become snake_case
+ */
+export function toSnakeCase(key) {
+  return String(key)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[\s-]+/g, '_')
+    .toLowerCase();
+}
+
+function toListItem(item) {
+  if (typeof item === 'string') return item.trim();
+  if (item && typeof item === 'object') {
+    return String(item.description || item.title || item.text || item.issue || JSON.stringify(item)).trim();
+  }
+  return item;
+}
+
+/**
+ * Fix key casing and harmless type variations, e.g. `quick_wins` → `quickWins`,
+ * `"4/5"` → 4, `"Fix-then-ship"` → `"fix then ship"`.
+ */
+export function normalizeEvaluation(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return raw;
+
+  const evaluation = {};
+  for (const [key, value] of Object.entries(raw)) {
+    const canonical = TOP_LEVEL_ALIASES[key.replace(/[_\s-]/g, '').toLowerCase()] || key;
+    evaluation[canonical] = value;
+  }
+
+  if (evaluation.rubric && typeof evaluation.rubric === 'object' && !Array.isArray(evaluation.rubric)) {
+    evaluation.rubric = Object.fromEntries(Object.entries(evaluation.rubric).map(([key, value]) => {
+      let entry = typeof value === 'number' || typeof value === 'string' ? { score: value } : value;
+      if (entry && typeof entry === 'object') {
+        entry = { ...entry };
+        if (typeof entry.score === 'string') {
+          const match = entry.score.match(/^\s*(\d+(?:\.\d+)?)/);
+          if (match) entry.score = Number(match[1]);
+        }
+        if (entry.justification === undefined && typeof entry.reason === 'string') {
+          entry.justification = entry.reason;
+          delete entry.reason;
+        }
+      }
+      return [toSnakeCase(key), entry];
+    }));
+  }
+
+  for (const list of ['blockers', 'quickWins']) {
+    if (typeof evaluation[list] === 'string') evaluation[list] = [evaluation[list]];
+    if (Array.isArray(evaluation[list])) {
+      evaluation[list] = evaluation[list].map(toListItem).filter(item => item !== '').slice(0, MAX_LIST_ITEMS);
+    }
+  }
+
+  if (typeof evaluation.verdict === 'string') {
+    evaluation.verdict = evaluation.verdict.toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  return evaluation;
+}
+
+/**
+ * List schema violations; an empty list means the evaluation is valid
+ */
+export function validateEvaluation(evaluation) {
+  const errors = [];
+
+  if (!evaluation || typeof evaluation !== 'object' || Array.isArray(evaluation)) {
+    return ['The response must be a JSON object'];
+  }
+
+  if (typeof evaluation.summary !== 'string' || evaluation.summary.trim() === '') {
+    errors.push('"summary" must be a non-empty string');
+  }
+
+  if (!evaluation.rubric || typeof evaluation.rubric !== 'object' || Array.isArray(evaluation.rubric)) {
+    errors.push(`"rubric" must be an object with the keys: ${RUBRIC_KEYS.join(', ')}`);
+  } else {
+    for (const key of RUBRIC_KEYS) {
+      const entry = evaluation.rubric[key];
+      if (entry === undefined) {
+        errors.push(`"rubric.${key}" is missing`);
+        continue;
+      }
+      if (!entry || typeof entry !== 'object') {
+        errors.push(`"rubric.${key}" must be an object with "score" and "justification"`);
+        continue;
+      }
+      if (!Number.isInteger(entry.score) || entry.score < 1 || entry.score > 5) {
+        errors.push(`"rubric.${key}.score" must be an integer from 1 to 5 (got ${JSON.stringify(entry.score)})`);
+      }
+      if (typeof entry.justification !== 'string' || entry.justification.trim() === '') {
+        errors.push(`"rubric.${key}.justification" must be a non-empty string`);
+      }
+    }
+    for (const key of Object.keys(evaluation.rubric)) {
+      if (!RUBRIC_KEYS.includes(key)) {
+        errors.push(`"rubric.${key}" is not a rubric criterion (expected: ${RUBRIC_KEYS.join(', ')})`);
+      }
+    }
+  }
+
+  for (const [list, name] of [['blockers', 'blockers'], ['quickWins', 'quick_wins']]) {
+    if (!Array.isArray(evaluation[list])) {
+      errors.push(`"${name}" must be an array of strings`);
+    } else if (evaluation[list].some(item => typeof item !== 'string')) {
+      errors.push(`"${name}" must only contain strings`);
+    }
+  }
+
+  if (!VERDICTS.includes(evaluation.verdict)) {
+    errors.push(`"verdict" must be one of: ${VERDICTS.join(' | ')} (got ${JSON.stringify(evaluation.verdict)})`);
+  }
+
+  return errors;
+}
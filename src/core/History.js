@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { variantLabel } from './Matrix.js';
+
+/**
+ * Run history
+ * Every run appends one line to `reports/history.jsonl`: persona, URL,
+ * commit, browser, rubric scores, verdict, step success and visual diff
+ * counts. Trends and score drops are computed from it.
+ */
+
+const SPARK_BARS = '▁▂▃▄▅▆▇█';
+
+// Rubric scores are whole numbers, so a series that never moved would make any change "significant"
+const MIN_DEVIATION = 0.25;
+const MIN_BASELINE_RUNS = 3;
+
+const run = promisify(execFile);
+
+async function git(...args) {
+  try {
+    const { stdout } = await run('git', args, { timeout: 5000 });
+    return stdout.trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Commit and branch of the code under test; CI variables win over the local checkout
+ */
+export async function gitInfo() {
+  return {
+    commit: process.env.GIT_COMMIT || process.env.GITHUB_SHA || await git('rev-parse', 'HEAD'),
+    // A detached checkout reports its branch as "HEAD"
+    branch: process.env.GIT_BRANCH || process.env.GITHUB_HEAD_REF || process.env.GITHUB_REF_NAME || (await git('rev-parse', '--abbrev-ref', 'HEAD'))?.replace(/^HEAD$/, '') || null
+  };
+}
+
+/**
+ * Unicode sparkline scaled to [min, max]; missing values are blanks
+ */
+export function sparkline(values, { min = 0, max = 5 } = {}) {
+  return values.map(value => {
+    if (value === null || value === undefined) return ' ';
+    const ratio = max > min ? (Math.min(Math.max(value, min), max) - min) / (max - min) : 1;
+    return SPARK_BARS[Math.round(ratio * (SPARK_BARS.length - 1))];
+  }).join('');
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function deviation(values) {
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / Math.max(values.length - 1, 1));
+}
+
+/**
+ * Compare the latest value of a series with the runs before it. A drop is
+ * significant when it is `z` standard deviations below the rolling baseline.
+ */
+export function detectDrop(values, { window = 10, z = 2 } = {}) {
+  const series = values.filter(value => value !== null && value !== undefined);
+  if (series.length < MIN_BASELINE_RUNS + 1) return null;
+
+  const latest = series[series.length - 1];
+  const baseline = series.slice(-window - 1, -1);
+  const average = mean(baseline);
+  const spread = Math.max(deviation(baseline), MIN_DEVIATION);
+  const score = (average - latest) / spread;
+
+  return {
+    latest,
+    baseline: Math.round(average * 100) / 100,
+    deviation: Math.round(spread * 100) / 100,
+    z: Math.round(score * 100) / 100,
+    runs: baseline.length,
+    significant: score >= z
+  };
+}
+
+export class RunHistory {
+  constructor(filePath = process.env.HISTORY_FILE || path.resolve(process.env.REPORTS_DIR || 'reports', 'history.jsonl')) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * One history line for a finished run
+   */
+  static entry({ runId, persona, url, commit, branch, variant, evaluation, steps = [], outcome, visualResults, timestamp }) {
+    const rubric = Object.fromEntries(Object.entries(evaluation.rubric).map(([criterion, { score }]) => [criterion, score]));
+    const scores = Object.values(rubric);
+
+    return {
+      runId,
+      timestamp: timestamp || new Date().toISOString(),
+      persona,
+      url,
+      commit,
+      branch,
+      browser: variant.browser,
+      device: variant.device || null,
+      variant: variantLabel(variant),
+      score: Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 100) / 100,
+      rubric,
+      verdict: evaluation.verdict,
+      outcome: outcome?.status || null,
+      steps: { total: steps.length, passed: steps.filter(step => step.success).length },
+      visual: {
+        total: visualResults?.total || 0,
+        passed: visualResults?.passed || 0,
+        failed: visualResults?.failed || 0,
+        new: visualResults?.new || 0
+      }
+    };
+  }
+
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    content.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        console.warn(`⚠️ Skipping unreadable line ${index + 1} of ${this.filePath}`);
+      }
+    });
+    return entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  /**
+   * Append a run. A run that is already indexed (its report was regenerated)
+   * is replaced, keeping the time and commit it originally ran at.
+   */
+  async record(entry) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const entries = await this.load();
+    const existing = entries.findIndex(candidate => candidate.runId === entry.runId);
+
+    if (existing === -1) {
+      await fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+      return entry;
+    }
+
+    const { timestamp, commit, branch } = entries[existing];
+    entries[existing] = { ...entry, timestamp, commit, branch };
+    await fs.writeFile(this.filePath, entries.map(candidate => `${JSON.stringify(candidate)}\n`).join(''));
+    return entries[existing];
+  }
+
+  /**
+   * Runs grouped by persona and browser/device, oldest first
+   */
+  static series(entries) {
+    const groups = new Map();
+    for (const entry of entries) {
+      const key = `${entry.persona} [${entry.variant}]`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    }
+    return groups;
+  }
+
+  /**
+   * Overall and per-criterion trends for each series, with drop detection
+   */
+  static trends(entries, { window = 10, z = 2 } = {}) {
+    return [...RunHistory.series(entries)].map(([key, runs]) => {
+      const criteria = [...new Set(runs.flatMap(entry => Object.keys(entry.rubric || {})))];
+      const metrics = [
+        { name: 'overall', values: runs.map(entry => entry.score) },
+        ...criteria.map(criterion => ({ name: criterion, values: runs.map(entry => entry.rubric?.[criterion] ?? null) }))
+      ];
+
+      return {
+        key,
+        persona: runs[0].persona,
+        variant: runs[0].variant,
+        runs,
+        stepSuccess: runs.map(entry => (entry.steps.total > 0 ? entry.steps.passed / entry.steps.total : null)),
+        visualFailures: runs.map(entry => entry.visual.failed),
+        metrics: metrics.map(metric => ({ ...metric, drop: detectDrop(metric.values, { window, z }) }))
+      };
+    });
+  }
+}
+
+export default RunHistory;
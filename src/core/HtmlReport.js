@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import path from 'path';
+import { describeSizeChange } from './VisualRegression.js';
+import { describeTriage } from './VisualTriage.js';
+
+/**
+ * Self-contained HTML report
+ * One file per run with every screenshot inlined, so it opens offline and
+ * can be attached to a ticket.
+ */
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const STYLES = `
+  :root { --ok: #1a7f37; --fail: #cf222e; --warn: #9a6700; --muted: #57606a; --border: #d0d7de; --bg: #f6f8fa; }
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; }
+  header { padding: 24px 32px; background: var(--bg); border-bottom: 1px solid var(--border); }
+  header h1 { margin: 0 0 8px; font-size: 22px; }
+  header dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 12px; margin: 0; }
+  header dt { color: var(--muted); }
+  header dd { margin: 0; }
+  main { padding: 0 32px 48px; max-width: 1200px; }
+  section { margin-top: 32px; }
+  h2 { font-size: 18px; border-bottom: 1px solid var(--border); padding-bottom: 6px; }
+  .verdict { display: inline-block; padding: 2px 10px; border-radius: 12px; font-weight: 600; text-transform: uppercase; }
+  .verdict.ship { background: #dafbe1; color: var(--ok); }
+  .verdict.fix-then-ship { background: #fff8c5; color: var(--warn); }
+  .verdict.rethink { background: #ffebe9; color: var(--fail); }
+  .score { font-size: 28px; font-weight: 600; }
+  .rubric { display: grid; grid-template-columns: 220px 1fr 48px; gap: 8px 12px; align-items: center; }
+  .bar { height: 12px; background: var(--bg); border-radius: 6px; overflow: hidden; border: 1px solid var(--border); }
+  .bar span { display: block; height: 100%; }
+  .rubric .why { grid-column: 2 / 4; color: var(--muted); margin-top: -6px; }
+  .timeline { list-style: none; padding: 0; margin: 0; }
+  .timeline li { border-left: 3px solid var(--border); padding: 4px 0 12px 16px; position: relative; }
+  .timeline li::before { content: ""; position: absolute; left: -8px; top: 8px; width: 13px; height: 13px; border-radius: 50%; background: var(--ok); }
+  .timeline li.failed::before { background: var(--fail); }
+  .timeline .id { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; color: var(--muted); }
+  .timeline .duration { display: inline-block; height: 6px; background: #54aeff; border-radius: 3px; vertical-align: middle; margin-left: 8px; }
+  .timeline .error { color: var(--fail); }
+  .timeline .reasoning { color: var(--muted); font-style: italic; }
+  pre { background: var(--bg); padding: 12px; border-radius: 6px; overflow: auto; max-height: 400px; }
+  .gallery { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 16px; }
+  .gallery figure { margin: 0; border: 1px solid var(--border); border-radius: 6px; overflow: hidden; }
+  .gallery img { width: 100%; height: 160px; object-fit: cover; object-position: top; display: block; }
+  .gallery figcaption { padding: 6px 8px; font-size: 12px; color: var(--muted); }
+  .lightbox { display: none; position: fixed; inset: 0; background: rgba(0, 0, 0, 0.85); z-index: 10; overflow: auto; padding: 32px; text-align: center; }
+  .lightbox:target { display: block; }
+  .lightbox img { max-width: 100%; }
+  .lightbox a { color: #fff; }
+  .compare { position: relative; display: inline-block; max-width: 100%; border: 1px solid var(--border); line-height: 0; }
+  .compare img { max-width: 100%; display: block; }
+  .compare .overlay { position: absolute; inset: 0; overflow: hidden; width: 50%; border-right: 2px solid var(--fail); }
+  .compare .overlay img { max-width: none; }
+  .comparison { margin-bottom: 32px; }
+  .comparison input[type=range] { width: 100%; max-width: 600px; display: block; }
+  .status-passed { color: var(--ok); }
+  .status-failed, .status-error { color: var(--fail); }
+  .status-new { color: var(--warn); }
+  table { border-collapse: collapse; }
+  td, th { border: 1px solid var(--border); padding: 4px 8px; text-align: left; }
+`;
+
+// Images are stored once in IMAGES and assigned to every <img data-image> that uses them
+const SCRIPT = `
+  document.querySelectorAll('img[data-image]').forEach(img => { img.src = IMAGES[img.dataset.image]; });
+  document.querySelectorAll('.comparison').forEach(comparison => {
+    const slider = comparison.querySelector('input[type=range]');
+    const overlay = comparison.querySelector('.overlay');
+    const base = comparison.querySelector('.compare > img');
+    const sync = () => {
+      overlay.style.width = slider.value + '%';
+      overlay.querySelector('img').style.width = base.clientWidth + 'px';
+    };
+    slider.addEventListener('input', sync);
+    window.addEventListener('resize', sync);
+    base.addEventListener('load', sync);
+    sync();
+  });
+`;
+
+export class HtmlReport {
+  /**
+   * @param {object} run  persona, variant, outcome, steps, screenshots,
+   *                      screenshotSteps, evaluation and optional visualResults
+   */
+  constructor(run) {
+    this.run = run;
+    this.images = new Map();
+  }
+
+  async write(filePath) {
+    await fs.writeFile(filePath, await this.render());
+    return filePath;
+  }
+
+  /**
+   * Register an image for inlining and return its key; unreadable files are skipped
+   */
+  async image(filePath) {
+    if (!filePath) return null;
+    if (this.images.has(filePath)) return this.images.get(filePath).key;
+    try {
+      const data = await fs.readFile(filePath);
+      const key = `img${this.images.size + 1}`;
+      this.images.set(filePath, { key, uri: `data:image/png;base64,${data.toString('base64')}` });
+      return key;
+    } catch {
+      return null;
+    }
+  }
+
+  async render() {
+    const { persona, variant, outcome, evaluation, generatedAt = new Date().toISOString() } = this.run;
+    const scores = Object.values(evaluation.rubric).map(entry => entry.score);
+    const overall = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+
+    const body = [
+      this.renderRubric(evaluation),
+      this.renderFindings(evaluation),
+      this.renderTimeline(),
+      await this.renderGallery(),
+      await this.renderComparisons()
+    ].join('\n');
+
+    return this.page(`Validation Report – ${persona.id}`, 'Product Validation Report', [
+      ['Persona', persona.id],
+      ['Goal', persona.goal],
+      ['Task', persona.task],
+      ['Browser', variant],
+      ['Outcome', outcome && `${outcome.status.replace('_', ' ')} — ${outcome.reason}`],
+      ['Generated', generatedAt]
+    ], `<section>
+  <h2>Summary</h2>
+  <p><span class="score">${overall.toFixed(2)}/5</span> &nbsp; ${this.renderVerdict(evaluation.verdict)}</p>
+  <p>${escapeHtml(evaluation.summary)}</p>
+</section>
+${body}`);
+  }
+
+  /**
+   * Page shell with the shared styles, a header of label/value pairs and every registered image inlined
+   */
+  page(title, heading, details, body) {
+    const images = Object.fromEntries([...this.images.values()].map(({ key, uri }) => [key, uri]));
+    const rows = details.filter(([, value]) => value).map(([label, value]) => `
+    <dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(heading)}</h1>
+  <dl>${rows}
+  </dl>
+</header>
+<main>
+${body}
+</main>
+<script>const IMAGES = ${JSON.stringify(images).replace(/</g, '\\u003c')};${SCRIPT}</script>
+</body>
+</html>
+`;
+  }
+
+  renderVerdict(verdict) {
+    return `<span class="verdict ${escapeHtml(verdict.replace(/\s+/g, '-'))}">${escapeHtml(verdict)}</span>`;
+  }
+
+  renderRubric(evaluation) {
+    const color = score => (score >= 4 ? 'var(--ok)' : score >= 3 ? 'var(--warn)' : 'var(--fail)');
+    const rows = Object.entries(evaluation.rubric).map(([key, { score, justification }]) => `
+    <div>${escapeHtml(key.replace(/_/g, ' ').replace(/^./, str => str.toUpperCase()))}</div>
+    <div class="bar"><span style="width: ${(score / 5) * 100}%; background: ${color(score)}"></span></div>
+    <div><strong>${score}/5</strong></div>
+    <div class="why">${escapeHtml(justification)}</div>`).join('');
+
+    return `<section>
+  <h2>Rubric Scores</h2>
+  <div class="rubric">${rows}
+  </div>
+</section>`;
+  }
+
+  renderFindings(evaluation) {
+    const list = (items, empty) => items.length > 0
+      ? `<ol>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ol>`
+      : `<p>${empty}</p>`;
+
+    return `<section>
+  <h2>Top Blockers</h2>
+  ${list(evaluation.blockers, 'No blockers identified')}
+  <h2>Quick Wins</h2>
+  ${list(evaluation.quickWins, 'No quick wins identified')}
+</section>`;
+  }
+
+  renderTimeline() {
+    const { steps } = this.run;
+    const longest = Math.max(1, ...steps.map(step => step.duration || 0));
+
+    const items = steps.map((step, index) => `
+    <li class="${step.success ? 'passed' : 'failed'}">
+      <strong>${index + 1}. ${escapeHtml(step.description)}</strong> <span class="id">${escapeHtml(step.stepId)}</span><br>
+      ${step.success ? '✅' : '❌'} ${step.duration}ms<span class="duration" style="width: ${Math.max(2, (step.duration / longest) * 300)}px"></span>
+      ${step.result?.reasoning ? `<div class="reasoning">${escapeHtml(step.result.reasoning)}</div>` : ''}
+      ${step.error ? `<div class="error">${escapeHtml(step.error)}</div>` : ''}
+      <details><summary>Raw result</summary><pre>${escapeHtml(JSON.stringify({ ...step, description: undefined }, null, 2))}</pre></details>
+    </li>`).join('');
+
+    return `<section>
+  <h2>Step Timeline</h2>
+  <ol class="timeline">${items}
+  </ol>
+</section>`;
+  }
+
+  async renderGallery() {
+    const { screenshots, screenshotSteps = {} } = this.run;
+    if (screenshots.length === 0) return '';
+
+    const figures = [];
+    const lightboxes = [];
+    for (const [index, screenshot] of screenshots.entries()) {
+      const key = await this.image(screenshot);
+      if (!key) continue;
+      const name = path.basename(screenshot);
+      const stepId = screenshotSteps[name];
+      figures.push(`
+    <figure>
+      <a href="#shot-${index + 1}"><img data-image="${key}" alt="${escapeHtml(name)}"></a>
+      <figcaption>${escapeHtml(name)}${stepId ? ` · step ${escapeHtml(stepId)}` : ''}</figcaption>
+    </figure>`);
+      lightboxes.push(`
+  <div class="lightbox" id="shot-${index + 1}"><p><a href="#gallery">Close ✕</a></p><img data-image="${key}" alt="${escapeHtml(name)}"></div>`);
+    }
+
+    return `<section id="gallery">
+  <h2>Screenshots</h2>
+  <div class="gallery">${figures.join('')}
+  </div>${lightboxes.join('')}
+</section>`;
+  }
+
+  /**
+   * Baseline/current table and sliders; `labels` renames the two sides (e.g. run A and run B)
+   */
+  async renderComparisons(title = 'Visual Regression', labels = { before: 'Baseline', after: 'Current' }) {
+    const { visualResults } = this.run;
+    if (!visualResults || visualResults.comparisons.length === 0) return '';
+
+    const triaged = Boolean(visualResults.triage);
+    const triageCell = comparison => comparison.triage?.category ? escapeHtml(describeTriage(comparison.triage)) : '–';
+    const rows = visualResults.comparisons.map(comparison => `
+    <tr><td>${escapeHtml(comparison.filename)}</td><td class="status-${comparison.status}">${escapeHtml(comparison.status)}</td><td>${typeof comparison.diffPercentage !== 'number' || comparison.status === 'new' ? '–' : `${comparison.diffPercentage.toFixed(2)}%`}</td><td>${escapeHtml(describeSizeChange(comparison.sizeChange)) || '–'}</td>${triaged ? `<td>${triageCell(comparison)}</td>` : ''}</tr>`).join('');
+
+    const sliders = [];
+    for (const comparison of visualResults.comparisons.filter(c => c.status === 'failed' || c.status === 'error')) {
+      const baseline = await this.image(comparison.baseline);
+      const current = await this.image(comparison.current);
+      if (!baseline || !current) continue;
+      const diff = await this.image(comparison.diff);
+      const annotated = await this.image(comparison.annotated);
+      sliders.push(`
+  <div class="comparison">
+    <h3>${escapeHtml(comparison.filename)} <span class="status-${comparison.status}">${comparison.error ? escapeHtml(comparison.error) : `${comparison.diffPercentage.toFixed(2)}% different${comparison.sizeChange ? `, ${escapeHtml(describeSizeChange(comparison.sizeChange))}` : ''}`}</span></h3>
+    ${comparison.triage?.category ? `<p><strong>AI triage: ${escapeHtml(describeTriage(comparison.triage))}.</strong> ${escapeHtml(comparison.triage.description)}</p>` : ''}
+    <p>Drag to compare: ${escapeHtml(labels.before)} on the left, ${escapeHtml(labels.after)} on the right of the line.</p>
+    <input type="range" min="0" max="100" value="50" aria-label="${escapeHtml(`${labels.before}/${labels.after} split`)}">
+    <div class="compare">
+      <img data-image="${current}" alt="${escapeHtml(labels.after)}">
+      <div class="overlay"><img data-image="${baseline}" alt="${escapeHtml(labels.before)}"></div>
+    </div>
+    ${diff ? `<details><summary>Diff image</summary><img data-image="${diff}" alt="Diff" style="max-width: 100%"></details>` : ''}
+    ${annotated ? `<details><summary>Changed regions (${comparison.regions.length})</summary><img data-image="${annotated}" alt="${escapeHtml(labels.after)} with changed regions outlined" style="max-width: 100%"></details>` : ''}
+  </div>`);
+    }
+
+    return `<section>
+  <h2>${escapeHtml(title)}</h2>
+  <p>✅ ${visualResults.passed} passed · ❌ ${visualResults.failed} failed · 📸 ${visualResults.new} new</p>
+  <table><tr><th>Screenshot</th><th>Status</th><th>Diff</th><th>Size</th>${triaged ? '<th>AI triage</th>' : ''}</tr>${rows}
+  </table>${sliders.join('')}
+</section>`;
+  }
+}
+
+export default HtmlReport;
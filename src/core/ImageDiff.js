@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+
+import { PNG } from 'pngjs';
+import pixelmatch from 'pixelmatch';
+
+/**
+ * Image difference metrics and changed-region clustering
+ *
+ *   pixel      share of pixels whose colour differs by more than `pixelThreshold`
+ *   antialias  the same, but pixels on anti-aliased edges don't count (default)
+ *   ssim       structural dissimilarity of 8×8 windows; a window counts as
+ *              changed when its SSIM is below 1 − `pixelThreshold`
+ */
+
+export const DIFF_METRICS = ['pixel', 'antialias', 'ssim'];
+
+const DIFF_COLOR = [255, 0, 0];
+const DIFF_COLOR_ALT = [0, 255, 0];
+const SSIM_WINDOW = 8;
+// Stabilising constants from Wang et al. for 8-bit images
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+// Changed pixels closer than this are reported as one region
+const REGION_GAP = 16;
+
+function luminance(png) {
+  const values = new Float64Array(png.width * png.height);
+  for (let i = 0; i < values.length; i++) {
+    const o = i * 4;
+    const alpha = png.data[o + 3] / 255;
+    // Blend onto white, as pixelmatch does
+    const blend = channel => 255 + (png.data[o + channel] - 255) * alpha;
+    values[i] = 0.299 * blend(0) + 0.587 * blend(1) + 0.114 * blend(2);
+  }
+  return values;
+}
+
+/**
+ * Faded greyscale copy of an image to draw differences on
+ */
+function backdrop(png) {
+  const out = new PNG({ width: png.width, height: png.height });
+  const values = luminance(png);
+  values.forEach((value, i) => {
+    out.data.fill(Math.round(255 + (value - 255) * 0.1), i * 4, i * 4 + 3);
+    out.data[i * 4 + 3] = 255;
+  });
+  return out;
+}
+
+function pixelDiff(current, baseline, { metric, pixelThreshold }) {
+  const { width, height } = current;
+  const diff = new PNG({ width, height });
+  const diffPixels = pixelmatch(current.data, baseline.data, diff.data, width, height, {
+    threshold: pixelThreshold,
+    includeAA: metric === 'pixel',
+    alpha: 0.1,
+    diffColor: DIFF_COLOR,
+    diffColorAlt: DIFF_COLOR_ALT
+  });
+
+  // Anti-aliased pixels are drawn yellow and don't count; only red and green ones are changes
+  const changed = new Uint8Array(width * height);
+  for (let i = 0; i < changed.length; i++) {
+    const [r, g, b] = diff.data.subarray(i * 4, i * 4 + 3);
+    if (b === 0 && r + g === 255 && (r === 0 || g === 0)) changed[i] = 1;
+  }
+  return { diff, changed, difference: diffPixels };
+}
+
+function ssimDiff(current, baseline, { pixelThreshold, ignored }) {
+  const { width, height } = current;
+  const a = luminance(current);
+  const b = luminance(baseline);
+  const diff = backdrop(current);
+  const changed = new Uint8Array(width * height);
+
+  let total = 0;
+  let weight = 0;
+  for (let y0 = 0; y0 < height; y0 += SSIM_WINDOW) {
+    for (let x0 = 0; x0 < width; x0 += SSIM_WINDOW) {
+      const pixels = [];
+      for (let y = y0; y < Math.min(height, y0 + SSIM_WINDOW); y++) {
+        for (let x = x0; x < Math.min(width, x0 + SSIM_WINDOW); x++) {
+          if (!ignored?.[y * width + x]) pixels.push(y * width + x);
+        }
+      }
+      if (pixels.length === 0) continue;
+
+      const n = pixels.length;
+      let meanA = 0;
+      let meanB = 0;
+      for (const i of pixels) {
+        meanA += a[i];
+        meanB += b[i];
+      }
+      meanA /= n;
+      meanB /= n;
+      let varA = 0;
+      let varB = 0;
+      let covariance = 0;
+      for (const i of pixels) {
+        varA += (a[i] - meanA) ** 2;
+        varB += (b[i] - meanB) ** 2;
+        covariance += (a[i] - meanA) * (b[i] - meanB);
+      }
+      const divisor = Math.max(n - 1, 1);
+      varA /= divisor;
+      varB /= divisor;
+      covariance /= divisor;
+
+      const ssim = ((2 * meanA * meanB + SSIM_C1) * (2 * covariance + SSIM_C2))
+        / ((meanA ** 2 + meanB ** 2 + SSIM_C1) * (varA + varB + SSIM_C2));
+      total += ssim * n;
+      weight += n;
+
+      if (ssim < 1 - pixelThreshold) {
+        for (const i of pixels) {
+          changed[i] = 1;
+          diff.data.set(meanA < meanB ? DIFF_COLOR_ALT : DIFF_COLOR, i * 4);
+        }
+      }
+    }
+  }
+
+  // Dissimilarity spread over the compared pixels, so it adds up like a pixel count
+  return { diff, changed, difference: weight > 0 ? (1 - total / weight) * weight : 0 };
+}
+
+/**
+ * Compare two images of the same size. `ignored` marks pixels (masked
+ * regions) the SSIM windows leave out. Returns the diff image, a map of
+ * changed pixels and the difference in pixel units.
+ */
+export function diffImages(current, baseline, { metric = 'antialias', pixelThreshold = 0.1, ignored = null } = {}) {
+  if (!DIFF_METRICS.includes(metric)) {
+    throw new Error(`❌ Unknown diff metric "${metric}". Use one of: ${DIFF_METRICS.join(', ')}`);
+  }
+  return metric === 'ssim'
+    ? ssimDiff(current, baseline, { pixelThreshold, ignored })
+    : pixelDiff(current, baseline, { metric, pixelThreshold });
+}
+
+/**
+ * Group changed pixels into bounding boxes, largest first. Pixels within
+ * `gap` of each other end up in the same region.
+ */
+export function clusterRegions(changed, width, height, gap = REGION_GAP) {
+  const columns = Math.ceil(width / gap);
+  const rows = Math.ceil(height / gap);
+  const cells = new Map();
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!changed[y * width + x]) continue;
+      const key = Math.floor(y / gap) * columns + Math.floor(x / gap);
+      const cell = cells.get(key);
+      if (cell) {
+        cell.x0 = Math.min(cell.x0, x);
+        cell.x1 = Math.max(cell.x1, x);
+        cell.y1 = y;
+        cell.pixels++;
+      } else {
+        cells.set(key, { x0: x, x1: x, y0: y, y1: y, pixels: 1 });
+      }
+    }
+  }
+
+  const regions = [];
+  const visited = new Set();
+  for (const start of cells.keys()) {
+    if (visited.has(start)) continue;
+    visited.add(start);
+    const region = { x0: Infinity, y0: Infinity, x1: -1, y1: -1, pixels: 0 };
+    const queue = [start];
+    while (queue.length > 0) {
+      const key = queue.pop();
+      const cell = cells.get(key);
+      region.x0 = Math.min(region.x0, cell.x0);
+      region.y0 = Math.min(region.y0, cell.y0);
+      region.x1 = Math.max(region.x1, cell.x1);
+      region.y1 = Math.max(region.y1, cell.y1);
+      region.pixels += cell.pixels;
+
+      const row = Math.floor(key / columns);
+      const column = key % columns;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const r = row + dy;
+          const c = column + dx;
+          if (r < 0 || r >= rows || c < 0 || c >= columns) continue;
+          const neighbour = r * columns + c;
+          if (cells.has(neighbour) && !visited.has(neighbour)) {
+            visited.add(neighbour);
+            queue.push(neighbour);
+          }
+        }
+      }
+    }
+    regions.push({
+      type: 'changed',
+      x: region.x0,
+      y: region.y0,
+      width: region.x1 - region.x0 + 1,
+      height: region.y1 - region.y0 + 1,
+      pixels: region.pixels
+    });
+  }
+
+  return regions.sort((a, b) => b.pixels - a.pixels);
+}
+
+/**
+ * Outline regions on a copy of `png`, 3px wide, in the colour given for their type
+ */
+export function drawRegions(png, regions, colors) {
+  const out = new PNG({ width: png.width, height: png.height });
+  png.data.copy(out.data);
+  const paint = (x, y, color) => {
+    if (x < 0 || y < 0 || x >= out.width || y >= out.height) return;
+    const i = (y * out.width + x) * 4;
+    out.data[i] = color[0];
+    out.data[i + 1] = color[1];
+    out.data[i + 2] = color[2];
+    out.data[i + 3] = 255;
+  };
+
+  for (const region of regions) {
+    const color = colors[region.type] || DIFF_COLOR;
+    const right = region.x + region.width - 1;
+    const bottom = region.y + region.height - 1;
+    for (let t = 0; t < 3; t++) {
+      for (let x = region.x - t; x <= right + t; x++) {
+        paint(x, region.y - t, color);
+        paint(x, bottom + t, color);
+      }
+      for (let y = region.y - t; y <= bottom + t; y++) {
+        paint(region.x - t, y, color);
+        paint(right + t, y, color);
+      }
+    }
+  }
+  return out;
+}
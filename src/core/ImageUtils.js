@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import { PNG } from 'pngjs';
+
+/**
+ * Small PNG helpers for preparing screenshots for vision models
+ */
+
+export async function readPNG(imagePath) {
+  return PNG.sync.read(await fs.readFile(imagePath));
+}
+
+export function encodePNG(png) {
+  return PNG.sync.write(png).toString('base64');
+}
+
+/**
+ * Keep the top `height` rows of an image
+ */
+export function crop(png, height) {
+  if (png.height <= height) return png;
+  const cropped = new PNG({ width: png.width, height });
+  png.data.copy(cropped.data, 0, 0, png.width * height * 4);
+  return cropped;
+}
+
+/**
+ * Copy the `width`×`height` region of an image starting at `x`, `y` (top-left by default)
+ */
+export function extract(png, width, height, x = 0, y = 0) {
+  const region = new PNG({ width, height });
+  PNG.bitblt(png, region, x, y, width, height, 0, 0);
+  return region;
+}
+
+/**
+ * Downscale to `width` (keeping the aspect ratio) by averaging source pixel blocks
+ */
+export function resize(png, width) {
+  if (png.width <= width) return png;
+
+  const scale = png.width / width;
+  const height = Math.max(1, Math.round(png.height / scale));
+  const resized = new PNG({ width, height });
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * scale);
+    const y1 = Math.min(png.height, Math.max(y0 + 1, Math.floor((y + 1) * scale)));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * scale);
+      const x1 = Math.min(png.width, Math.max(x0 + 1, Math.floor((x + 1) * scale)));
+      const sum = [0, 0, 0, 0];
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = (sy * png.width + sx) * 4;
+          sum[0] += png.data[i];
+          sum[1] += png.data[i + 1];
+          sum[2] += png.data[i + 2];
+          sum[3] += png.data[i + 3];
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      const o = (y * width + x) * 4;
+      for (let c = 0; c < 4; c++) resized.data[o + c] = Math.round(sum[c] / count);
+    }
+  }
+
+  return resized;
+}
+
+/**
+ * Lay images out left-to-right, top-to-bottom on a white sheet
+ */
+export function tile(images, columns, gap = 8) {
+  const cellWidth = Math.max(...images.map(image => image.width));
+  const rows = [];
+  for (let i = 0; i < images.length; i += columns) {
+    rows.push(images.slice(i, i + columns));
+  }
+  const rowHeights = rows.map(row => Math.max(...row.map(image => image.height)));
+
+  const width = columns * cellWidth + (columns - 1) * gap;
+  const height = rowHeights.reduce((sum, h) => sum + h, 0) + (rows.length - 1) * gap;
+  const sheet = new PNG({ width, height });
+  sheet.data.fill(255);
+
+  let top = 0;
+  rows.forEach((row, r) => {
+    row.forEach((image, c) => {
+      PNG.bitblt(image, sheet, 0, 0, image.width, image.height, c * (cellWidth + gap), top);
+    });
+    top += rowHeights[r] + gap;
+  });
+
+  return sheet;
+}
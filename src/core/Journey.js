@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+
+import { validateScreenshotSettings } from './Capture.js';
+import { getSetting } from './Config.js';
+
+/**
+ * Declarative persona journeys
+ * Runs the ordered, typed steps defined under `journey:` in personas.yaml
+ */
+
+export const STEP_TYPES = [
+  'goto', 'click', 'fill', 'select', 'press',
+  'wait-for', 'expect-visible', 'expect-url', 'screenshot'
+];
+
+// Keys that point a step at an element; every step that takes a target accepts all of them
+export const TARGET_KEYS = ['role', 'text', 'label', 'placeholder', 'selector'];
+
+const DEFAULT_TIMEOUT = 10000;
+
+export class Journey {
+  constructor(steps, options = {}) {
+    this.steps = steps.map((step, index) => Journey.normalizeStep(step, index));
+    this.options = {
+      baseUrl: getSetting('productUrl'),
+      ...options
+    };
+  }
+
+  /**
+   * Turn a YAML step such as `{ click: { role: button, name: Sign up } }`
+   * into `{ id, name, type, args, timeout }`.
+   */
+  static normalizeStep(step, index) {
+    const types = Object.keys(step).filter(key => STEP_TYPES.includes(key));
+    if (types.length !== 1) {
+      throw new Error(`Journey step ${index + 1} must have exactly one of: ${STEP_TYPES.join(', ')}`);
+    }
+
+    const type = types[0];
+    const id = step.id || `${String(index + 1).padStart(2, '0')}-${type}`;
+
+    return {
+      id,
+      name: step.name || Journey.describe(type, step[type]),
+      type,
+      args: step[type],
+      timeout: step.timeout || DEFAULT_TIMEOUT
+    };
+  }
+
+  /**
+   * Check a raw YAML step and return a list of problems (empty when valid)
+   */
+  static hasTarget(args) {
+    return typeof args === 'object' && args !== null && TARGET_KEYS.some(key => key in args);
+  }
+
+  static validate(step) {
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      return ['must be a mapping such as `click: { text: "Sign up" }`'];
+    }
+
+    const types = Object.keys(step).filter(key => STEP_TYPES.includes(key));
+    const unknown = Object.keys(step).filter(key => !STEP_TYPES.includes(key) && !['id', 'name', 'timeout'].includes(key));
+    const errors = unknown.map(key => `unknown key "${key}"`);
+
+    if (types.length !== 1) {
+      errors.push(`must have exactly one of: ${STEP_TYPES.join(', ')}`);
+      return errors;
+    }
+
+    const type = types[0];
+    const args = step[type];
+    const hasTarget = Journey.hasTarget(args);
+
+    switch (type) {
+      case 'goto':
+        if (typeof args !== 'string') errors.push('goto needs a URL or path');
+        break;
+      case 'click':
+      case 'expect-visible':
+        if (typeof args !== 'string' && !hasTarget) errors.push(`${type} needs text or a target (${TARGET_KEYS.join(', ')})`);
+        break;
+      case 'fill':
+        if (!hasTarget) errors.push(`fill needs a target (${TARGET_KEYS.join(', ')})`);
+        if (typeof args === 'object' && args !== null && typeof args.value !== 'string') errors.push('fill needs a string value');
+        break;
+      case 'select':
+        if (!hasTarget) errors.push(`select needs a target (${TARGET_KEYS.join(', ')})`);
+        if (typeof args === 'object' && args !== null && args.option === undefined) errors.push('select needs an option');
+        break;
+      case 'press':
+        if (typeof args !== 'string' && typeof args?.key !== 'string') errors.push('press needs a key name');
+        break;
+      case 'wait-for':
+        if (typeof args !== 'number' && typeof args !== 'string' && !hasTarget && !args?.url) {
+          errors.push('wait-for needs milliseconds, text, a target or a url');
+        }
+        break;
+      case 'expect-url':
+        if (typeof args !== 'string' && typeof args?.pattern !== 'string') errors.push('expect-url needs a string or { pattern }');
+        break;
+      case 'screenshot':
+        if (typeof args !== 'string' && typeof args?.name !== 'string') errors.push('screenshot needs a name');
+        if (typeof args === 'object' && args !== null) {
+          const { name, ...settings } = args;
+          errors.push(...validateScreenshotSettings(settings, 'screenshot '));
+        }
+        break;
+    }
+
+    if (step.timeout !== undefined && !(Number.isInteger(step.timeout) && step.timeout > 0)) {
+      errors.push('timeout must be a positive number of milliseconds');
+    }
+
+    return errors;
+  }
+
+  static describe(type, args) {
+    const target = typeof args === 'string' ? `"${args}"` : Journey.describeTarget(args);
+    switch (type) {
+      case 'goto': return `Go to ${args}`;
+      case 'click': return `Click ${target}`;
+      case 'fill': return `Fill ${target}`;
+      case 'select': return `Select "${args.option}" in ${target}`;
+      case 'press': return `Press ${typeof args === 'string' ? args : args.key}`;
+      case 'wait-for': return `Wait for ${target}`;
+      case 'expect-visible': return `Expect ${target} to be visible`;
+      case 'expect-url': return `Expect URL to match ${typeof args === 'string' ? args : args.pattern}`;
+      case 'screenshot': return `Screenshot ${typeof args === 'string' ? args : args.name}`;
+      default: return type;
+    }
+  }
+
+  static describeTarget(args = {}) {
+    if (args.role) return `${args.role}${args.name ? ` "${args.name}"` : ''}`;
+    if (args.text) return `text "${args.text}"`;
+    if (args.label) return `field labelled "${args.label}"`;
+    if (args.placeholder) return `field with placeholder "${args.placeholder}"`;
+    if (args.selector) return `\`${args.selector}\``;
+    if (args.url) return `URL ${args.url}`;
+    return 'element';
+  }
+
+  /**
+   * Run every step through the runner's executeStep/takeScreenshot.
+   * Stops at the first failing step and returns the journey outcome.
+   */
+  async run(runner) {
+    const steps = this.steps[0]?.type === 'goto'
+      ? this.steps
+      : [Journey.normalizeStep({ id: '00-goto', goto: this.options.startUrl || this.options.baseUrl }, 0), ...this.steps];
+
+    for (const step of steps) {
+      try {
+        await runner.executeStep(step.id, step.name, () => this.executeStep(runner, step));
+      } catch (error) {
+        await runner.takeScreenshot(`${step.id}-failed`);
+        return { status: 'failed', reason: `Step ${step.id} failed: ${error.message}` };
+      }
+    }
+
+    return { status: 'achieved', reason: `All ${steps.length} journey steps passed` };
+  }
+
+  async executeStep(runner, step) {
+    const { page } = runner;
+    const { args, timeout } = step;
+    const { keyboard } = this.options;
+
+    switch (step.type) {
+      case 'goto': {
+        const url = new URL(this.interpolate(args), this.options.baseUrl).toString();
+        await page.goto(url, { waitUntil: 'networkidle', timeout });
+        return { url: page.url(), title: await page.title() };
+      }
+      case 'click': {
+        const locator = this.locate(page, typeof args === 'string' ? { text: args } : args);
+        if (keyboard) {
+          await keyboard.activate(page, locator);
+        } else {
+          await locator.click({ timeout });
+        }
+        await page.waitForLoadState('domcontentloaded').catch(() => {});
+        return { url: page.url() };
+      }
+      case 'fill':
+        if (keyboard) {
+          await keyboard.type(page, this.locate(page, args), this.interpolate(args.value));
+        } else {
+          await this.locate(page, args).fill(this.interpolate(args.value), { timeout });
+        }
+        return { value: args.value };
+      case 'select':
+        if (keyboard) {
+          await keyboard.select(page, this.locate(page, args), this.interpolate(args.option));
+        } else {
+          await this.locate(page, args).selectOption(this.interpolate(args.option), { timeout });
+        }
+        return { option: args.option };
+      case 'press': {
+        const key = typeof args === 'string' ? args : args.key;
+        if (Journey.hasTarget(args)) {
+          await this.locate(page, args).press(key, { timeout });
+        } else {
+          await page.keyboard.press(key);
+        }
+        return { key };
+      }
+      case 'wait-for':
+        if (typeof args === 'number') {
+          await page.waitForTimeout(args);
+        } else if (args.url) {
+          await page.waitForURL(args.url, { timeout });
+        } else {
+          await this.locate(page, typeof args === 'string' ? { text: args } : args)
+            .waitFor({ state: args.state || 'visible', timeout });
+        }
+        return { url: page.url() };
+      case 'expect-visible': {
+        const locator = this.locate(page, typeof args === 'string' ? { text: args } : args);
+        await locator.waitFor({ state: 'visible', timeout });
+        return { visible: true };
+      }
+      case 'expect-url': {
+        const matches = this.urlMatcher(args);
+        await page.waitForURL(url => matches(url.toString()), { timeout })
+          .catch(() => { throw new Error(`URL ${page.url()} does not match ${typeof args === 'string' ? args : args.pattern}`); });
+        return { url: page.url() };
+      }
+      case 'screenshot': {
+        const { name, ...settings } = typeof args === 'string' ? { name: args } : args;
+        const screenshot = await runner.takeScreenshot(`${step.id}-${name}`, settings);
+        return { screenshot };
+      }
+      default:
+        throw new Error(`Unknown journey step type: ${step.type}`);
+    }
+  }
+
+  locate(page, args = {}) {
+    let locator;
+    if (args.role) {
+      locator = page.getByRole(args.role, args.name ? { name: args.name, exact: args.exact } : {});
+    } else if (args.label) {
+      locator = page.getByLabel(args.label, { exact: args.exact });
+    } else if (args.placeholder) {
+      locator = page.getByPlaceholder(args.placeholder, { exact: args.exact });
+    } else if (args.text) {
+      locator = page.getByText(args.text, { exact: args.exact });
+    } else if (args.selector) {
+      locator = page.locator(args.selector);
+    } else {
+      throw new Error('Step target needs one of: role, label, placeholder, text, selector');
+    }
+    return locator.nth(args.nth ?? 0);
+  }
+
+  urlMatcher(args) {
+    if (typeof args === 'object' && args.pattern) {
+      const pattern = new RegExp(args.pattern);
+      return url => pattern.test(url);
+    }
+    const expected = this.interpolate(args);
+    return url => url.includes(expected);
+  }
+
+  /**
+   * Replace ${VAR} with environment values so secrets stay out of personas.yaml,
+   * and {{name}} with the journey's `variables` (functions are called on each use).
+   * Recorded step results keep the template, never the resolved value.
+   */
+  interpolate(value) {
+    const variables = this.options.variables || {};
+    return String(value ?? '')
+      .replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] ?? '')
+      .replace(/\{\{(\w+)\}\}/g, (match, name) => {
+        if (!(name in variables)) return match;
+        const resolved = typeof variables[name] === 'function' ? variables[name]() : variables[name];
+        return String(resolved ?? '');
+      });
+  }
+}
+
+export default Journey;
@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+
+/**
+ * Concurrency limiter: `limit(fn)` runs `fn` once fewer than
+ * `concurrency` limited calls are in flight.
+ */
+export function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return fn => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject });
+    next();
+  });
+}
+
+export default createLimiter;
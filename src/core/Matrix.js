@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+import { devices } from 'playwright';
+
+/**
+ * Browser/device run matrix
+ * A variant is one `{ browser, device }` combination a persona runs on
+ */
+
+export const BROWSERS = ['chromium', 'firefox', 'webkit'];
+
+export function parseList(value) {
+  if (!value) return [];
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Check CLI-supplied browser and device names before anything is launched
+ */
+export function validateMatrixOptions({ browsers = [], devices: deviceNames = [] } = {}) {
+  for (const browser of browsers) {
+    if (!BROWSERS.includes(browser)) {
+      throw new Error(`❌ Unknown browser "${browser}". Available browsers: ${BROWSERS.join(', ')}`);
+    }
+  }
+  for (const device of deviceNames) {
+    if (!devices[device]) {
+      throw new Error(`❌ Unknown device "${device}". Run \`npx playwright devices\` or see https://playwright.dev/docs/emulation for names.`);
+    }
+  }
+}
+
+/**
+ * Every browser × device combination for a persona. CLI options win over
+ * the persona's `browsers`/`devices`/`device`; the default is desktop Chromium.
+ */
+export function expandMatrix(persona, options = {}) {
+  const browsers = options.browsers?.length ? options.browsers : persona.browsers || ['chromium'];
+  const deviceNames = options.devices?.length
+    ? options.devices
+    : persona.devices || (persona.device ? [persona.device] : [null]);
+
+  return browsers.flatMap(browser => deviceNames.map(device => ({ browser, device })));
+}
+
+/**
+ * Filesystem-safe label such as `chromium` or `webkit-iphone-13`
+ */
+export function variantLabel({ browser, device }) {
+  const slug = device ? device.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') : null;
+  return slug ? `${browser}-${slug}` : browser;
+}
+
+export function describeVariant({ browser, device }) {
+  return device ? `${browser} · ${device}` : `${browser} · desktop`;
+}
@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+
+/**
+ * Per-step performance metrics and budgets
+ * Web vitals come from in-page PerformanceObservers; request counts, bytes
+ * and JS heap come from the Chrome DevTools Protocol on Chromium and from
+ * Playwright's request events elsewhere.
+ */
+
+export const BUDGET_METRICS = {
+  ttfb: { label: 'TTFB', unit: 'ms' },
+  domContentLoaded: { label: 'DOMContentLoaded', unit: 'ms' },
+  load: { label: 'Load', unit: 'ms' },
+  lcp: { label: 'LCP', unit: 'ms' },
+  cls: { label: 'CLS', unit: '' },
+  inp: { label: 'INP', unit: 'ms' },
+  longTasks: { label: 'Long tasks', unit: '' },
+  tbt: { label: 'Total blocking time', unit: 'ms' },
+  requests: { label: 'Requests', unit: '' },
+  bytes: { label: 'Transferred', unit: 'bytes' },
+  jsHeap: { label: 'JS heap', unit: 'bytes' }
+};
+
+const UNITS = { ms: 1, s: 1000, b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+/**
+ * Installed with addInitScript, so it runs in every document before the page's own scripts
+ */
+function installObservers() {
+  if (window.__vmPerf) return;
+  const perf = window.__vmPerf = { lcp: null, cls: 0, inp: null, longTasks: 0, tbt: 0 };
+
+  const observe = (type, callback, options = {}) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true, ...options });
+    } catch {
+      // Entry type not supported by this browser; the metric stays null
+    }
+  };
+
+  observe('largest-contentful-paint', entry => { perf.lcp = entry.renderTime || entry.loadTime || entry.startTime; });
+  observe('layout-shift', entry => { if (!entry.hadRecentInput) perf.cls += entry.value; });
+  observe('longtask', entry => {
+    perf.longTasks++;
+    perf.tbt += Math.max(0, entry.duration - 50);
+  });
+  observe('event', entry => {
+    if (entry.interactionId) perf.inp = Math.max(perf.inp || 0, entry.duration);
+  }, { durationThreshold: 16 });
+}
+
+function readPageMetrics() {
+  const navigation = performance.getEntriesByType('navigation')[0];
+  const perf = window.__vmPerf || {};
+  const round = value => (value === null || value === undefined ? null : Math.round(value));
+
+  return {
+    document: performance.timeOrigin,
+    url: location.href,
+    ttfb: navigation ? round(navigation.responseStart) : null,
+    domContentLoaded: navigation && navigation.domContentLoadedEventEnd > 0 ? round(navigation.domContentLoadedEventEnd) : null,
+    load: navigation && navigation.loadEventEnd > 0 ? round(navigation.loadEventEnd) : null,
+    lcp: round(perf.lcp),
+    cls: perf.cls === undefined ? null : Math.round(perf.cls * 1000) / 1000,
+    inp: round(perf.inp),
+    longTasks: perf.longTasks ?? null,
+    tbt: round(perf.tbt),
+    jsHeap: performance.memory ? performance.memory.usedJSHeapSize : null
+  };
+}
+
+/**
+ * Turn `2.5s`, `800ms`, `500KB` or a plain number into ms/bytes
+ */
+export function parseBudgetValue(value) {
+  if (typeof value === 'number') return value;
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(ms|s|b|kb|mb|gb)?$/);
+  if (!match) return null;
+  return Number(match[1]) * (UNITS[match[2]] || 1);
+}
+
+/**
+ * Check a `budgets:` map (step id pattern → metric → limit) and return a list of problems
+ */
+export function validateBudgets(budgets) {
+  if (!budgets || typeof budgets !== 'object' || Array.isArray(budgets)) {
+    return ['must be a mapping of step ids (or patterns such as "agent-*") to metric limits'];
+  }
+
+  const errors = [];
+  for (const [pattern, limits] of Object.entries(budgets)) {
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+      errors.push(`"${pattern}" must map metric names to limits, e.g. { lcp: 2.5s }`);
+      continue;
+    }
+    for (const [metric, limit] of Object.entries(limits)) {
+      if (!BUDGET_METRICS[metric]) {
+        errors.push(`"${pattern}": unknown metric "${metric}" (allowed: ${Object.keys(BUDGET_METRICS).join(', ')})`);
+      } else if (parseBudgetValue(limit) === null || parseBudgetValue(limit) < 0) {
+        errors.push(`"${pattern}.${metric}" must be a non-negative number, optionally with a unit (ms, s, KB, MB)`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Persona budgets override the shared ones, metric by metric
+ */
+export function mergeBudgets(...layers) {
+  const merged = {};
+  for (const layer of layers) {
+    for (const [pattern, limits] of Object.entries(layer || {})) {
+      merged[pattern] = { ...merged[pattern], ...limits };
+    }
+  }
+  return merged;
+}
+
+function matchesStep(pattern, stepId) {
+  const expression = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+  return expression.test(stepId);
+}
+
+/**
+ * Every limit a step's metrics exceed
+ */
+export function checkBudgets(steps, budgets = {}) {
+  const breaches = [];
+  for (const step of steps) {
+    if (!step.metrics) continue;
+    for (const [pattern, limits] of Object.entries(budgets)) {
+      if (!matchesStep(pattern, step.stepId)) continue;
+      for (const [metric, limit] of Object.entries(limits)) {
+        const value = step.metrics[metric];
+        const max = parseBudgetValue(limit);
+        if (value !== null && value !== undefined && value > max) {
+          breaches.push({ stepId: step.stepId, metric, value, max, budget: pattern });
+        }
+      }
+    }
+  }
+  return breaches;
+}
+
+export function formatMetric(metric, value) {
+  if (value === null || value === undefined) return '–';
+  const { unit } = BUDGET_METRICS[metric] || {};
+  if (unit === 'ms') return value >= 1000 ? `${(value / 1000).toFixed(2)} s` : `${Math.round(value)} ms`;
+  if (unit === 'bytes') {
+    if (value >= 1024 ** 2) return `${(value / 1024 ** 2).toFixed(1)} MB`;
+    return `${(value / 1024).toFixed(1)} KB`;
+  }
+  return String(value);
+}
+
+/**
+ * Collects metrics around each step. `beginStep()` before the action,
+ * `endStep()` after it; the difference gives per-step request counts and bytes.
+ */
+export class PerformanceMonitor {
+  constructor(page, { browserName = 'chromium' } = {}) {
+    this.page = page;
+    this.browserName = browserName;
+    this.cdp = null;
+    this.counters = { requests: 0, bytes: 0 };
+    this.stepStart = null;
+  }
+
+  async start() {
+    await this.page.context().addInitScript(installObservers);
+
+    if (this.browserName === 'chromium') {
+      this.cdp = await this.page.context().newCDPSession(this.page);
+      await this.cdp.send('Network.enable');
+      await this.cdp.send('Performance.enable');
+      this.cdp.on('Network.requestWillBeSent', () => { this.counters.requests++; });
+      this.cdp.on('Network.loadingFinished', event => { this.counters.bytes += event.encodedDataLength || 0; });
+    } else {
+      this.page.on('request', () => { this.counters.requests++; });
+      this.page.on('requestfinished', async request => {
+        const sizes = await request.sizes().catch(() => null);
+        if (sizes) this.counters.bytes += sizes.responseHeadersSize + sizes.responseBodySize;
+      });
+    }
+  }
+
+  async beginStep() {
+    this.stepStart = {
+      ...this.counters,
+      document: await this.page.evaluate(() => performance.timeOrigin).catch(() => null)
+    };
+  }
+
+  /**
+   * Metrics for the step that just ran. Navigation timings are only
+   * reported when the step loaded a new document.
+   */
+  async endStep() {
+    try {
+      // A step that triggered a navigation can leave the page mid-load; wait once and retry
+      const metrics = await this.page.evaluate(readPageMetrics).catch(async () => {
+        await this.page.waitForLoadState('domcontentloaded').catch(() => {});
+        return this.page.evaluate(readPageMetrics);
+      });
+      const navigated = metrics.document !== this.stepStart?.document;
+
+      if (this.cdp) {
+        const { metrics: cdpMetrics } = await this.cdp.send('Performance.getMetrics');
+        metrics.jsHeap = cdpMetrics.find(metric => metric.name === 'JSHeapUsedSize')?.value ?? metrics.jsHeap;
+      }
+
+      const { document, ...values } = metrics;
+      return {
+        ...values,
+        ...(!navigated && { ttfb: null, domContentLoaded: null, load: null }),
+        navigated,
+        requests: this.counters.requests - (this.stepStart?.requests || 0),
+        bytes: this.counters.bytes - (this.stepStart?.bytes || 0)
+      };
+    } catch {
+      // The page was closed or never settled; the step simply has no metrics
+      return null;
+    }
+  }
+}
+
+export default PerformanceMonitor;
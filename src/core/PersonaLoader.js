@@ -0,0 +1,402 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { devices } from 'playwright';
+import { Journey } from './Journey.js';
+import { LOGIN_STRATEGIES } from './Auth.js';
+import { validateBudgets, mergeBudgets } from './Performance.js';
+import { validateVisual, mergeVisual } from './Capture.js';
+import { PROVIDERS } from './providers/index.js';
+import { BROWSERS } from './Matrix.js';
+
+/**
+ * Persona fields and the checks applied to them. `required` fields are
+ * checked after `extends:` has been resolved, so a child persona may
+ * inherit its goal and task.
+ */
+const PERSONA_SCHEMA = {
+  id: { type: 'string', required: true, pattern: /^[a-z0-9][a-z0-9_-]*$/i },
+  extends: { type: 'string' },
+  abstract: { type: 'boolean' },
+  goal: { type: 'string', required: true },
+  task: { type: 'string', required: true },
+  tags: { type: 'array', items: 'string' },
+  startUrl: { type: 'string' },
+  maxSteps: { type: 'integer', min: 1, max: 200 },
+  viewport: {
+    type: 'object',
+    properties: {
+      width: { type: 'integer', required: true, min: 1 },
+      height: { type: 'integer', required: true, min: 1 }
+    }
+  },
+  device: { type: 'string', oneOf: Object.keys(devices), label: 'Playwright device' },
+  devices: { type: 'array', items: 'string', itemsOneOf: Object.keys(devices), label: 'Playwright device' },
+  browsers: { type: 'array', items: 'string', itemsOneOf: BROWSERS },
+  locale: { type: 'string' },
+  timezone: { type: 'string' },
+  credentials: { type: 'string' },
+  keyboardOnly: { type: 'boolean' },
+  budgets: { type: 'object' },
+  visual: { type: 'object' },
+  journey: { type: 'array' },
+  ai: {
+    type: 'object',
+    properties: {
+      provider: { type: 'string', oneOf: Object.keys(PROVIDERS) },
+      model: { type: 'string' },
+      baseUrl: { type: 'string' },
+      temperature: { type: 'number', min: 0, max: 2 },
+      maxTokens: { type: 'integer', min: 1 }
+    }
+  }
+};
+
+const CREDENTIALS_SCHEMA = {
+  email: { type: 'string' },
+  password: { type: 'string' },
+  totpSecret: { type: 'string' },
+  loginUrl: { type: 'string' },
+  success: { type: 'string' },
+  form: {
+    type: 'object',
+    properties: {
+      email: { type: 'string', required: true },
+      password: { type: 'string', required: true },
+      next: { type: 'string' },
+      submit: { type: 'string' },
+      totp: { type: 'string' },
+      totpSubmit: { type: 'string' }
+    }
+  },
+  flow: { type: 'array' },
+  storageState: { type: 'string' }
+};
+
+export class PersonaValidationError extends Error {
+  constructor(filePath, errors) {
+    super(`❌ Invalid persona configuration in ${filePath}:
+
+${errors.map(error => `  ${error.line ? `line ${error.line}: ` : ''}${error.message}`).join('\n')}`);
+    this.name = 'PersonaValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Loads personas.yaml, validates it and resolves persona inheritance
+ */
+export class PersonaLoader {
+  constructor(personas, credentials = {}, budgets = {}, visual = {}) {
+    this.all = personas;
+    this.personas = personas.filter(persona => !persona.abstract);
+    this.credentials = credentials;
+    this.budgets = budgets;
+    this.visual = visual;
+  }
+
+  static defaultPath() {
+    return process.env.PERSONAS_FILE ? path.resolve(process.env.PERSONAS_FILE) : path.join(process.cwd(), 'config', 'personas.yaml');
+  }
+
+  static async load(filePath = PersonaLoader.defaultPath()) {
+    let source;
+    try {
+      source = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`❌ Could not read personas file ${filePath}: ${error.message}`);
+    }
+    return PersonaLoader.parse(source, path.relative(process.cwd(), filePath) || filePath);
+  }
+
+  static parse(source, filePath = 'personas.yaml') {
+    const lines = source.split('\n');
+    const nodeLines = new Map();
+    const open = [];
+
+    let document;
+    try {
+      // The listener records the line each mapping/sequence starts on,
+      // so validation errors can point back into the file
+      document = yaml.load(source, {
+        listener(event, state) {
+          if (event === 'open') {
+            open.push(state.line);
+          } else {
+            const line = open.pop();
+            if (state.result && typeof state.result === 'object' && !nodeLines.has(state.result)) {
+              nodeLines.set(state.result, line + 1);
+            }
+          }
+        }
+      });
+    } catch (error) {
+      throw new PersonaValidationError(filePath, [{
+        line: error.mark ? error.mark.line + 1 : null,
+        message: `YAML syntax error: ${error.reason || error.message}`
+      }]);
+    }
+
+    const lineOf = (node, key) => {
+      const start = nodeLines.get(node);
+      if (!start || !key) return start || null;
+      const pattern = new RegExp(`^\\s*(?:-\\s+)?${key}\\s*:`);
+      for (let i = start - 1; i < lines.length; i++) {
+        if (pattern.test(lines[i])) return i + 1;
+      }
+      return start;
+    };
+
+    const errors = [];
+
+    if (!document || typeof document !== 'object' || !Array.isArray(document.personas)) {
+      throw new PersonaValidationError(filePath, [{ line: 1, message: 'expected a top-level "personas:" list' }]);
+    }
+
+    const credentials = document.credentials || {};
+    for (const [name, profile] of Object.entries(credentials)) {
+      const label = `credentials "${name}"`;
+      if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        errors.push({ line: lineOf(credentials, name), message: `${label} must be a mapping` });
+        continue;
+      }
+      PersonaLoader.validateFields(profile, CREDENTIALS_SCHEMA, label, errors, key => lineOf(profile, key));
+
+      const strategies = LOGIN_STRATEGIES.filter(strategy => profile[strategy] !== undefined);
+      if (strategies.length > 1) {
+        errors.push({ line: lineOf(profile, strategies[1]), message: `${label} may use only one login strategy (found: ${strategies.join(', ')})` });
+      }
+      if (Array.isArray(profile.flow)) {
+        profile.flow.forEach((step, stepIndex) => {
+          for (const message of Journey.validate(step)) {
+            errors.push({ line: lineOf(step) || lineOf(profile, 'flow'), message: `${label}: flow step ${stepIndex + 1} ${message}` });
+          }
+        });
+      }
+      const usesTotp = profile.form?.totp || JSON.stringify(profile.flow || []).includes('{{totp}}');
+      if (usesTotp && !profile.totpSecret) {
+        errors.push({ line: lineOf(profile), message: `${label} uses one-time codes but has no "totpSecret"` });
+      }
+    }
+
+    const budgets = document.budgets || {};
+    if (document.budgets !== undefined) {
+      for (const message of validateBudgets(document.budgets)) {
+        errors.push({ line: lineOf(document, 'budgets'), message: `budgets: ${message}` });
+      }
+    }
+
+    const visual = document.visual || {};
+    if (document.visual !== undefined) {
+      for (const message of validateVisual(document.visual)) {
+        errors.push({ line: lineOf(document, 'visual'), message: `visual: ${message}` });
+      }
+    }
+
+    const byId = new Map();
+    document.personas.forEach((persona, index) => {
+      const label = `persona ${persona?.id ? `"${persona.id}"` : `#${index + 1}`}`;
+      if (!persona || typeof persona !== 'object') {
+        errors.push({ line: lineOf(document.personas), message: `${label} must be a mapping` });
+        return;
+      }
+
+      PersonaLoader.validateFields(persona, PERSONA_SCHEMA, label, errors, key => lineOf(persona, key));
+
+      if (!persona.id) {
+        errors.push({ line: lineOf(persona), message: `${label} is missing required field "id"` });
+        return;
+      }
+
+      if (byId.has(persona.id)) {
+        errors.push({ line: lineOf(persona, 'id'), message: `${label} is defined more than once` });
+      }
+      byId.set(persona.id, persona);
+
+      if (persona.credentials && !credentials[persona.credentials]) {
+        errors.push({ line: lineOf(persona, 'credentials'), message: `${label}: unknown credentials profile "${persona.credentials}"` });
+      }
+
+      if (persona.budgets && typeof persona.budgets === 'object' && !Array.isArray(persona.budgets)) {
+        for (const message of validateBudgets(persona.budgets)) {
+          errors.push({ line: lineOf(persona, 'budgets'), message: `${label}: budgets ${message}` });
+        }
+      }
+
+      if (persona.visual && typeof persona.visual === 'object' && !Array.isArray(persona.visual)) {
+        for (const message of validateVisual(persona.visual)) {
+          errors.push({ line: lineOf(persona, 'visual'), message: `${label}: visual ${message}` });
+        }
+      }
+
+      if (Array.isArray(persona.journey)) {
+        persona.journey.forEach((step, stepIndex) => {
+          for (const message of Journey.validate(step)) {
+            errors.push({ line: lineOf(step) || lineOf(persona, 'journey'), message: `${label}: journey step ${stepIndex + 1} ${message}` });
+          }
+        });
+      }
+    });
+
+    const resolved = new Map();
+    const resolve = (persona, chain = []) => {
+      if (resolved.has(persona.id)) return resolved.get(persona.id);
+      if (chain.includes(persona.id)) {
+        errors.push({ line: lineOf(persona, 'extends'), message: `circular extends: ${[...chain, persona.id].join(' → ')}` });
+        return persona;
+      }
+
+      let result = { ...persona };
+      if (persona.extends) {
+        const parent = byId.get(persona.extends);
+        if (!parent) {
+          errors.push({ line: lineOf(persona, 'extends'), message: `persona "${persona.id}" extends unknown persona "${persona.extends}"` });
+        } else {
+          const { abstract, ...inherited } = resolve(parent, [...chain, persona.id]);
+          result = { ...inherited, ...persona };
+        }
+      }
+      delete result.extends;
+
+      resolved.set(persona.id, result);
+      return result;
+    };
+
+    const personas = document.personas.filter(p => p && typeof p === 'object' && p.id).map(persona => resolve(persona));
+
+    for (const persona of personas) {
+      if (persona.abstract) continue;
+      for (const [key, rule] of Object.entries(PERSONA_SCHEMA)) {
+        if (rule.required && persona[key] === undefined) {
+          errors.push({ line: lineOf(byId.get(persona.id)), message: `persona "${persona.id}" is missing required field "${key}"` });
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      errors.sort((a, b) => (a.line || 0) - (b.line || 0));
+      throw new PersonaValidationError(filePath, errors);
+    }
+
+    return new PersonaLoader(personas, credentials, budgets, visual);
+  }
+
+  static validateFields(object, schema, label, errors, lineOf) {
+    for (const [key, value] of Object.entries(object)) {
+      const rule = schema[key];
+      if (!rule) {
+        errors.push({ line: lineOf(key), message: `${label}: unknown field "${key}" (allowed: ${Object.keys(schema).join(', ')})` });
+        continue;
+      }
+
+      const problem = PersonaLoader.checkValue(value, rule);
+      if (problem) {
+        errors.push({ line: lineOf(key), message: `${label}: "${key}" ${problem}` });
+      }
+    }
+  }
+
+  static checkValue(value, rule) {
+    switch (rule.type) {
+      case 'string':
+        if (typeof value !== 'string') return 'must be a string';
+        if (rule.pattern && !rule.pattern.test(value)) return `must match ${rule.pattern}`;
+        if (rule.oneOf && !rule.oneOf.includes(value)) {
+          return rule.label ? `"${value}" is not a known ${rule.label}` : `must be one of: ${rule.oneOf.join(', ')}`;
+        }
+        return null;
+      case 'boolean':
+        return typeof value === 'boolean' ? null : 'must be true or false';
+      case 'number':
+      case 'integer':
+        if (rule.type === 'integer' ? !Number.isInteger(value) : typeof value !== 'number') return `must be ${rule.type === 'integer' ? 'an integer' : 'a number'}`;
+        if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+        if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+        return null;
+      case 'array':
+        if (!Array.isArray(value)) return 'must be a list';
+        if (rule.items && value.some(item => typeof item !== rule.items)) return `must be a list of ${rule.items}s`;
+        if (rule.itemsOneOf) {
+          const unknown = value.find(item => !rule.itemsOneOf.includes(item));
+          if (unknown !== undefined) {
+            return rule.label ? `"${unknown}" is not a known ${rule.label}` : `"${unknown}" must be one of: ${rule.itemsOneOf.join(', ')}`;
+          }
+        }
+        return null;
+      case 'object':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be a mapping';
+        for (const key of Object.keys(value)) {
+          if (rule.properties && !rule.properties[key]) return `has unknown key "${key}" (allowed: ${Object.keys(rule.properties).join(', ')})`;
+        }
+        for (const [key, property] of Object.entries(rule.properties || {})) {
+          if (value[key] === undefined) {
+            if (property.required) return `needs "${key}"`;
+            continue;
+          }
+          const problem = PersonaLoader.checkValue(value[key], property);
+          if (problem) return `"${key}" ${problem}`;
+        }
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  get(id) {
+    const persona = this.personas.find(p => p.id === id);
+    if (!persona) {
+      throw new Error(`❌ Persona not found: ${id}
+Available personas: ${this.personas.map(p => p.id).join(', ')}`);
+    }
+    return persona;
+  }
+
+  /**
+   * Personas carrying at least one of the given tags (all personas when no tags are given)
+   */
+  select({ tags = [] } = {}) {
+    if (tags.length === 0) return this.personas;
+    return this.personas.filter(persona => (persona.tags || []).some(tag => tags.includes(tag)));
+  }
+
+  /**
+   * The shared performance budgets with the persona's own on top
+   */
+  budgetsFor(persona) {
+    return mergeBudgets(this.budgets, persona.budgets);
+  }
+
+  /**
+   * The shared screenshot ignore selectors and masks plus the persona's own
+   */
+  visualFor(persona) {
+    return mergeVisual(this.visual, persona.visual);
+  }
+
+  /**
+   * Resolve the persona's credentials profile
+   */
+  credentialsFor(persona) {
+    if (!persona.credentials) return null;
+    return this.profile(persona.credentials);
+  }
+
+  /**
+   * A credentials profile by name, with ${VAR} replaced by environment values
+   */
+  profile(name) {
+    const profile = this.credentials[name];
+    if (!profile) {
+      throw new Error(`❌ Credentials profile not found: ${name}
+Available profiles: ${Object.keys(this.credentials).join(', ') || '(none)'}`);
+    }
+    const interpolate = value => typeof value === 'string'
+      ? value.replace(/\$\{(\w+)\}/g, (match, variable) => process.env[variable] ?? '')
+      : value;
+    return Object.fromEntries(Object.entries(profile).map(([key, value]) => [key, interpolate(value)]));
+  }
+}
+
+export default PersonaLoader;
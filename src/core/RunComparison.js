@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import path from 'path';
+import { TestRunner } from './TestRunner.js';
+import { VisualRegressionTester, describeSizeChange } from './VisualRegression.js';
+import { HtmlReport, escapeHtml } from './HtmlReport.js';
+import { describeVariant } from './Matrix.js';
+import { screenshotKeys } from './Baselines.js';
+
+/**
+ * Side-by-side comparison of two runs
+ * Rubric deltas, verdict change, blockers and quick wins added or resolved,
+ * step success and timing, and screenshot-to-screenshot pixel diffs.
+ */
+
+// Findings are free text from the model; compare them ignoring case and spacing
+const normalize = text => String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+
+function overall(evaluation) {
+  const scores = Object.values(evaluation.rubric).map(entry => entry.score);
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
+
+function listChanges(before = [], after = []) {
+  const beforeKeys = new Set(before.map(normalize));
+  const afterKeys = new Set(after.map(normalize));
+  return {
+    added: after.filter(item => !beforeKeys.has(normalize(item))),
+    resolved: before.filter(item => !afterKeys.has(normalize(item))),
+    unchanged: after.filter(item => beforeKeys.has(normalize(item)))
+  };
+}
+
+const signed = (value, digits = 2) => `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+
+export class RunComparison {
+  /**
+   * @param {object} before  run loaded with RunComparison.load (A)
+   * @param {object} after   run loaded with RunComparison.load (B)
+   */
+  constructor(before, after) {
+    this.before = before;
+    this.after = after;
+  }
+
+  /**
+   * Find a run by directory, by name under reports/, or by a unique name prefix there
+   */
+  static async resolve(run, reportsRoot = path.resolve(process.env.REPORTS_DIR || 'reports')) {
+    for (const candidate of [path.resolve(run), path.join(reportsRoot, run)]) {
+      try {
+        await fs.access(path.join(candidate, 'artifacts.json'));
+        return candidate;
+      } catch {
+        // Try the next location
+      }
+    }
+
+    const entries = await fs.readdir(reportsRoot).catch(() => []);
+    const matches = entries.filter(entry => entry.startsWith(run));
+    if (matches.length === 1) return path.join(reportsRoot, matches[0]);
+    throw new Error(matches.length > 1
+      ? `❌ "${run}" matches ${matches.length} runs: ${matches.slice(0, 5).join(', ')}${matches.length > 5 ? ', …' : ''}`
+      : `❌ Run not found: ${run} (pass a report directory or a run name under reports/)`);
+  }
+
+  static async load(run) {
+    const dir = await RunComparison.resolve(run);
+    const read = async file => {
+      try {
+        return JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+      } catch (error) {
+        throw new Error(`❌ Could not read ${file} in ${dir}: ${error.message}`);
+      }
+    };
+    const artifacts = await read('artifacts.json');
+    const evaluation = await read('evaluation.json');
+    const variant = { browser: artifacts.browser || 'chromium', device: artifacts.device ?? null };
+
+    return {
+      name: path.basename(dir),
+      dir,
+      persona: artifacts.persona,
+      variant,
+      viewport: new TestRunner(artifacts.persona, variant).screenshotViewport(),
+      timestamp: artifacts.timestamp,
+      outcome: artifacts.outcome || null,
+      steps: artifacts.steps || [],
+      screenshots: (artifacts.screenshots || []).map(screenshot => path.join(dir, path.basename(screenshot))),
+      screenshotMasks: artifacts.screenshotMasks || {},
+      visual: artifacts.config?.visual || null,
+      evaluation
+    };
+  }
+
+  /**
+   * Compute every difference; pixel diff images are written to `diffDir`
+   */
+  async compare(diffDir) {
+    const { before, after } = this;
+    const criteria = [...new Set([...Object.keys(before.evaluation.rubric), ...Object.keys(after.evaluation.rubric)])];
+
+    return {
+      before: this.describe(before),
+      after: this.describe(after),
+      score: { before: overall(before.evaluation), after: overall(after.evaluation), delta: overall(after.evaluation) - overall(before.evaluation) },
+      rubric: criteria.map(criterion => {
+        const a = before.evaluation.rubric[criterion]?.score ?? null;
+        const b = after.evaluation.rubric[criterion]?.score ?? null;
+        return { criterion, before: a, after: b, delta: a !== null && b !== null ? b - a : null };
+      }),
+      verdict: { before: before.evaluation.verdict, after: after.evaluation.verdict, changed: before.evaluation.verdict !== after.evaluation.verdict },
+      blockers: listChanges(before.evaluation.blockers, after.evaluation.blockers),
+      quickWins: listChanges(before.evaluation.quickWins, after.evaluation.quickWins),
+      steps: this.compareSteps(),
+      screenshots: await this.compareScreenshots(diffDir)
+    };
+  }
+
+  describe(run) {
+    return {
+      name: run.name,
+      persona: run.persona.id,
+      variant: describeVariant(run.variant),
+      timestamp: run.timestamp,
+      outcome: run.outcome?.status || null
+    };
+  }
+
+  compareSteps() {
+    const byId = steps => new Map(steps.map(step => [step.stepId, step]));
+    const before = byId(this.before.steps);
+    const after = byId(this.after.steps);
+    const ids = [...new Set([...before.keys(), ...after.keys()])];
+    const summary = run => ({
+      passed: run.steps.filter(step => step.success).length,
+      total: run.steps.length,
+      duration: run.steps.reduce((sum, step) => sum + (step.duration || 0), 0)
+    });
+
+    return {
+      before: summary(this.before),
+      after: summary(this.after),
+      changes: ids.map(stepId => {
+        const a = before.get(stepId);
+        const b = after.get(stepId);
+        return {
+          stepId,
+          description: (b || a).description,
+          before: a ? { success: a.success, duration: a.duration, error: a.error || null } : null,
+          after: b ? { success: b.success, duration: b.duration, error: b.error || null } : null,
+          durationDelta: a && b ? b.duration - a.duration : null
+        };
+      })
+    };
+  }
+
+  /**
+   * Pixel diffs between screenshots of the same page, reusing the visual
+   * regression comparison with run A as the baseline
+   */
+  async compareScreenshots(diffDir) {
+    const before = screenshotKeys(this.before.screenshots);
+    const after = screenshotKeys(this.after.screenshots);
+    const tester = new VisualRegressionTester(diffDir, {
+      viewport: this.after.viewport,
+      masks: this.after.screenshotMasks,
+      visual: this.after.visual
+    });
+    await fs.mkdir(diffDir, { recursive: true });
+
+    const results = { total: 0, passed: 0, failed: 0, new: 0, comparisons: [] };
+    for (const name of new Set([...before.keys(), ...after.keys()])) {
+      const baseline = before.get(name) || null;
+      const current = after.get(name) || null;
+      results.total++;
+
+      if (!baseline || !current) {
+        results.new++;
+        results.comparisons.push({ filename: name, status: baseline ? 'removed' : 'added', baseline, current, diff: null, diffPercentage: null });
+        continue;
+      }
+
+      const diffPath = path.join(diffDir, `diff-${name.replace(/[^\w.-]+/g, '-')}.png`);
+      try {
+        const comparison = await tester.compareImages(current, baseline, diffPath);
+        results[comparison.passed ? 'passed' : 'failed']++;
+        results.comparisons.push({
+          filename: name,
+          status: comparison.passed ? 'passed' : 'failed',
+          baseline,
+          current,
+          diff: comparison.diffPath,
+          annotated: comparison.annotatedPath,
+          diffPercentage: comparison.diffPercentage,
+          sizeChange: comparison.sizeChange,
+          regions: comparison.regions
+        });
+      } catch (error) {
+        results.failed++;
+        results.comparisons.push({ filename: name, status: 'error', baseline, current, diff: null, diffPercentage: null, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  static toMarkdown(result) {
+    const { before, after } = result;
+    const score = value => (value === null ? '–' : value);
+    const list = (items, empty) => (items.length > 0 ? items.map(item => `- ${item}`).join('\n') : `_${empty}_`);
+    const stepState = state => (state ? `${state.success ? '✅' : '❌'} ${state.duration}ms` : '–');
+
+    return `# Run Comparison
+
+| | A | B |
+|---|---|---|
+| **Run** | ${before.name} | ${after.name} |
+| **Persona** | ${before.persona} | ${after.persona} |
+| **Browser** | ${before.variant} | ${after.variant} |
+| **Date** | ${before.timestamp || '–'} | ${after.timestamp || '–'} |
+| **Outcome** | ${before.outcome || '–'} | ${after.outcome || '–'} |
+| **Overall score** | ${result.score.before.toFixed(2)} | ${result.score.after.toFixed(2)} (${signed(result.score.delta)}) |
+| **Verdict** | ${result.verdict.before} | ${result.verdict.after}${result.verdict.changed ? ' ⚠️ changed' : ''} |
+
+## Rubric Scores
+
+| Criteria | A | B | Δ |
+|----------|---|---|---|
+${result.rubric.map(entry => `| ${entry.criterion} | ${score(entry.before)} | ${score(entry.after)} | ${entry.delta === null ? '–' : signed(entry.delta, 0)} |`).join('\n')}
+
+## Blockers
+
+**Added in B**
+
+${list(result.blockers.added, 'None')}
+
+**Resolved since A**
+
+${list(result.blockers.resolved, 'None')}
+
+## Quick Wins
+
+**Added in B**
+
+${list(result.quickWins.added, 'None')}
+
+**Resolved since A**
+
+${list(result.quickWins.resolved, 'None')}
+
+## Steps
+
+A: ${result.steps.before.passed}/${result.steps.before.total} passed in ${result.steps.before.duration}ms · B: ${result.steps.after.passed}/${result.steps.after.total} passed in ${result.steps.after.duration}ms
+
+| Step | A | B | Δ time |
+|------|---|---|--------|
+${result.steps.changes.map(change => `| ${change.stepId}: ${change.description} | ${stepState(change.before)} | ${stepState(change.after)} | ${change.durationDelta === null ? '–' : `${change.durationDelta > 0 ? '+' : ''}${change.durationDelta}ms`} |`).join('\n')}
+
+## Screenshots
+
+✅ ${result.screenshots.passed} match · ❌ ${result.screenshots.failed} differ · 📸 ${result.screenshots.new} only in one run
+
+| Screenshot | Status | Diff % | Diff |
+|------------|--------|--------|------|
+${result.screenshots.comparisons.map(comparison => `| ${comparison.filename} | ${comparison.status} | ${typeof comparison.diffPercentage === 'number' ? `${comparison.diffPercentage.toFixed(2)}%${comparison.sizeChange ? ` (${describeSizeChange(comparison.sizeChange)})` : ''}` : comparison.error || '–'} | ${comparison.diff ? `[Diff](${path.basename(comparison.diff)})` : '–'}${comparison.annotated ? ` · [${comparison.regions.length} region(s)](${path.basename(comparison.annotated)})` : ''} |`).join('\n')}
+`;
+  }
+}
+
+/**
+ * Self-contained HTML version of the comparison, with A/B sliders for screenshots
+ */
+export class ComparisonHtmlReport extends HtmlReport {
+  constructor(result) {
+    super({ visualResults: result.screenshots });
+    this.result = result;
+  }
+
+  async render() {
+    const { before, after, verdict } = this.result;
+    const delta = value => (value === null ? '–' : `<span class="${value < 0 ? 'status-failed' : value > 0 ? 'status-passed' : ''}">${signed(value, 0)}</span>`);
+    const rubric = this.result.rubric.map(entry => `
+    <tr><td>${escapeHtml(entry.criterion)}</td><td>${entry.before ?? '–'}</td><td>${entry.after ?? '–'}</td><td>${delta(entry.delta)}</td></tr>`).join('');
+    const steps = this.result.steps.changes.map(change => {
+      const state = value => (value ? `${value.success ? '✅' : '❌'} ${value.duration}ms` : '–');
+      return `
+    <tr><td>${escapeHtml(change.stepId)}</td><td>${escapeHtml(change.description)}</td><td>${state(change.before)}</td><td>${state(change.after)}</td><td>${change.durationDelta === null ? '–' : `${change.durationDelta > 0 ? '+' : ''}${change.durationDelta}ms`}</td></tr>`;
+    }).join('');
+    const findings = (title, changes) => `
+  <h3>${title}</h3>
+  <p><strong>Added in B</strong></p>${changes.added.length > 0 ? `<ul>${changes.added.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : '<p>None</p>'}
+  <p><strong>Resolved since A</strong></p>${changes.resolved.length > 0 ? `<ul>${changes.resolved.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : '<p>None</p>'}`;
+
+    const body = `<section>
+  <h2>Summary</h2>
+  <p><span class="score">${this.result.score.before.toFixed(2)} → ${this.result.score.after.toFixed(2)}</span> (${signed(this.result.score.delta)})</p>
+  <p>${this.renderVerdict(verdict.before)} → ${this.renderVerdict(verdict.after)}</p>
+</section>
+<section>
+  <h2>Rubric Scores</h2>
+  <table><tr><th>Criteria</th><th>A</th><th>B</th><th>Δ</th></tr>${rubric}
+  </table>
+</section>
+<section>
+  <h2>Findings</h2>${findings('Blockers', this.result.blockers)}${findings('Quick Wins', this.result.quickWins)}
+</section>
+<section>
+  <h2>Steps</h2>
+  <table><tr><th>Step</th><th>Description</th><th>A</th><th>B</th><th>Δ time</th></tr>${steps}
+  </table>
+</section>
+${await this.renderComparisons('Screenshots', { before: 'A', after: 'B' })}`;
+
+    return this.page(`Run Comparison – ${before.name} vs ${after.name}`, 'Run Comparison', [
+      ['A', `${before.name} (${before.variant})`],
+      ['B', `${after.name} (${after.variant})`],
+      ['Persona', before.persona === after.persona ? before.persona : `${before.persona} → ${after.persona}`],
+      ['Generated', new Date().toISOString()]
+    ], body);
+  }
+}
+
+export default RunComparison;
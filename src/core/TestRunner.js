@@ -1,10 +1,23 @@
 #!/usr/bin/env node
 
-import { chromium } from 'playwright';
+import playwright, { devices } from 'playwright';
 import path from 'path';
 import fs from 'fs/promises';
 import { AIEvaluator } from './AIEvaluator.js';
 import { VisualRegressionTester } from './VisualRegression.js';
+import { AgentNavigator } from './AgentNavigator.js';
+import { Journey } from './Journey.js';
+import { Auth } from './Auth.js';
+import { AccessibilityAuditor, KeyboardNavigator, A11Y_RULES } from './Accessibility.js';
+import { PerformanceMonitor, BUDGET_METRICS, checkBudgets, formatMetric } from './Performance.js';
+import { Diagnostics, SIGNAL_TYPES, redactHar } from './Diagnostics.js';
+import { HtmlReport } from './HtmlReport.js';
+import { RunHistory, gitInfo } from './History.js';
+import { BaselineStore, baselineOptions, viewportKey } from './Baselines.js';
+import { captureScreenshot, screenshotSettings, withOverrides } from './Capture.js';
+import { VisualTriage, TRIAGE_CATEGORIES, TRIAGE_SEVERITIES, REGRESSION_CATEGORIES } from './VisualTriage.js';
+import { variantLabel, describeVariant, parseList } from './Matrix.js';
+import { getSetting } from './Config.js';
 import dotenv from 'dotenv';
 
 /**
@@ -12,21 +25,135 @@ import dotenv from 'dotenv';
  * Orchestrates browser automation, AI evaluation, and visual regression testing
  */
 export class TestRunner {
-  constructor(persona, config = {}) {
+  constructor(persona, { sharedBrowser, ...config } = {}) {
     this.persona = persona;
+    this.sharedBrowser = sharedBrowser || null;
     this.config = {
-      productUrl: process.env.PRODUCT_URL || 'http://localhost:3000',
+      productUrl: getSetting('productUrl'),
       testEmail: process.env.TEST_EMAIL || 'test@example.com',
       testPassword: process.env.TEST_PASSWORD || 'testpassword123',
       headless: process.env.HEADFUL !== '1',
+      maxSteps: parseInt(process.env.MAX_STEPS || '15', 10),
+      browser: 'chromium',
+      trace: process.env.RECORD_TRACE || 'off',
+      video: process.env.RECORD_VIDEO || 'off',
+      har: process.env.RECORD_HAR === '1',
+      strictBaselines: process.env.VISUAL_STRICT === '1',
+      compareMode: process.env.VISUAL_COMPARE_MODE || 'full',
+      visualTriage: process.env.VISUAL_TRIAGE === '1',
+      cassetteDir: process.env.AI_CASSETTE_DIR || null,
+      ...TestRunner.personaSettings(persona),
       ...config
     };
+
+    // Credentials profile from personas.yaml replaces the TEST_EMAIL/TEST_PASSWORD defaults
+    if (this.config.credentials) {
+      this.config.testEmail = this.config.credentials.email || this.config.testEmail;
+      this.config.testPassword = this.config.credentials.password || this.config.testPassword;
+    }
+
+    // Profiles with a login strategy log in before the persona starts, or reuse a cached session
+    const auth = this.config.credentials && this.persona.credentials
+      ? new Auth(this.persona.credentials, {
+        ...this.config.credentials,
+        email: this.config.testEmail,
+        password: this.config.testPassword
+      }, { baseUrl: this.config.productUrl })
+      : null;
+    this.auth = auth?.strategy ? auth : null;
+    this.sessionRestored = false;
+    
+    // The browser/device combination this run covers; `config.device: null` forces desktop
+    this.variant = {
+      browser: this.config.browser,
+      device: this.config.device !== undefined ? this.config.device : this.persona.device || this.persona.devices?.[0] || null
+    };
     
     this.browser = null;
+    this.ownsBrowser = false;
+    this.context = null;
     this.page = null;
     this.screenshots = [];
+    this.screenshotSteps = {};
+    this.screenshotMasks = {};
     this.steps = [];
+    this.currentStepId = null;
+    this.outcome = null;
     this.reportsDir = null;
+
+    // Accessibility rules run after every step; keyboard-only personas never use the mouse
+    this.auditor = new AccessibilityAuditor();
+    this.keyboard = this.persona.keyboardOnly ? new KeyboardNavigator({ stepId: () => this.currentStepId }) : null;
+    this.accessibility = null;
+
+    this.performanceMonitor = null;
+    this.performance = null;
+
+    // Console, page and network errors, attributed to the running step
+    this.signals = new Diagnostics({ stepId: () => this.currentStepId });
+    this.diagnostics = null;
+
+    // Trace/video file names once the run's outcome decides whether they are kept
+    this.recordings = null;
+
+    this.visualResults = null;
+    // Set when rebuilt from artifacts.json: the stored visual results are reused and no baselines are written
+    this.rebuilt = false;
+  }
+
+  /**
+   * Runner settings declared on the persona (step budget, start URL)
+   */
+  static personaSettings(persona) {
+    const productUrl = getSetting('productUrl');
+    const settings = {};
+
+    if (persona.maxSteps) settings.maxSteps = persona.maxSteps;
+    if (persona.startUrl) settings.startUrl = new URL(persona.startUrl, productUrl).toString();
+
+    return settings;
+  }
+
+  /**
+   * Rebuild a runner from a previous run's artifacts.json so its evaluation
+   * and reports can be regenerated (e.g. from a cassette in replay mode).
+   * The stored visual results are reused; screenshots aren't compared again.
+   * AI calls are replayed from `cassetteDir`, else the cassette the run recorded to.
+   */
+  static async fromArtifacts(reportsDir, { cassetteDir = null } = {}) {
+    const resolvedDir = path.resolve(reportsDir);
+    let artifacts;
+    try {
+      artifacts = JSON.parse(await fs.readFile(path.join(resolvedDir, 'artifacts.json'), 'utf8'));
+    } catch (error) {
+      throw new Error(`❌ Could not read artifacts.json in ${resolvedDir}: ${error.message}`);
+    }
+
+    const runner = new TestRunner(artifacts.persona, {
+      ...artifacts.config,
+      cassetteDir: cassetteDir || artifacts.config?.cassetteDir || null,
+      browser: artifacts.browser || 'chromium',
+      device: artifacts.device ?? null
+    });
+    runner.reportsDir = resolvedDir;
+    runner.steps = artifacts.steps;
+    runner.screenshots = artifacts.screenshots.map(screenshot => path.join(resolvedDir, path.basename(screenshot)));
+    runner.screenshotSteps = artifacts.screenshotSteps || {};
+    runner.screenshotMasks = artifacts.screenshotMasks || {};
+    runner.outcome = artifacts.outcome || null;
+    runner.accessibility = artifacts.accessibility || null;
+    runner.diagnostics = artifacts.diagnostics || null;
+    runner.recordings = artifacts.recordings || null;
+    runner.visualResults = artifacts.visualResults || null;
+    runner.rebuilt = true;
+    return runner;
+  }
+
+  static launchBrowser(browserName, { headless = process.env.HEADFUL !== '1' } = {}) {
+    return playwright[browserName].launch({ 
+      headless,
+      ...(browserName === 'chromium' && { args: parseList(process.env.BROWSER_ARGS || '--no-sandbox,--disable-setuid-sandbox') })
+    });
   }
 
   static generateRunId() {
@@ -36,22 +163,102 @@ export class TestRunner {
 
   async setup() {
     const runId = TestRunner.generateRunId();
-    this.reportsDir = path.join(process.cwd(), 'reports', `${runId}-${this.persona.id}`);
+    this.reportsDir = path.resolve(process.env.REPORTS_DIR || 'reports', `${runId}-${this.persona.id}-${variantLabel(this.variant)}`);
     await fs.mkdir(this.reportsDir, { recursive: true });
     
     console.log(`📁 Created report directory: ${this.reportsDir}`);
     
-    // Launch browser
-    console.log('🌐 Launching browser...');
-    this.browser = await chromium.launch({ 
-      headless: this.config.headless,
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
+    // Launch browser, or open an isolated context on a browser shared between parallel runs
+    if (this.sharedBrowser) {
+      console.log(`🌐 Opening browser context (${describeVariant(this.variant)})...`);
+      this.browser = this.sharedBrowser;
+      this.ownsBrowser = false;
+    } else {
+      console.log(`🌐 Launching browser (${describeVariant(this.variant)})...`);
+      this.browser = await TestRunner.launchBrowser(this.variant.browser, this.config);
+      this.ownsBrowser = true;
+    }
     
-    this.page = await this.browser.newPage();
+    const storageState = this.auth ? await this.auth.sessionState() : null;
+    if (storageState) {
+      console.log(`🔐 Reusing session for "${this.auth.profileName}" from ${path.relative(process.cwd(), storageState)}`);
+      this.sessionRestored = true;
+    }
     
-    // Set viewport
-    await this.page.setViewportSize({ width: 1280, height: 720 });
+    // The HAR is written when the context closes in cleanup(), then redacted
+    this.context = await this.browser.newContext({
+      ...this.getContextOptions(),
+      ...(storageState && { storageState }),
+      ...(this.config.har && { recordHar: { path: path.join(this.reportsDir, 'network.har'), content: 'omit' } }),
+      ...(this.config.video !== 'off' && { recordVideo: { dir: this.reportsDir } })
+    });
+    if (this.config.trace !== 'off') {
+      await this.context.tracing.start({
+        screenshots: true,
+        snapshots: true,
+        title: `${this.persona.id} (${describeVariant(this.variant)})`
+      });
+    }
+    this.page = await this.context.newPage();
+    this.signals.attach(this.page);
+
+    this.performanceMonitor = new PerformanceMonitor(this.page, { browserName: this.variant.browser });
+    await this.performanceMonitor.start();
+  }
+
+  /**
+   * AI settings for this run: the persona's overrides plus the cassette
+   * directory (AI_CASSETTE_DIR, else the run's own)
+   */
+  getAIOptions() {
+    return {
+      ...this.persona.ai,
+      cassetteDir: this.config.cassetteDir || path.join(this.reportsDir, 'cassette')
+    };
+  }
+
+  /**
+   * Browser context options from the persona's device, viewport, locale and timezone
+   */
+  getContextOptions() {
+    const { viewport, locale, timezone } = this.persona;
+    const { device, browser } = this.variant;
+    const { defaultBrowserType, ...descriptor } = device ? devices[device] : {};
+
+    // Firefox has no mobile emulation; keep the viewport, user agent and touch support
+    if (browser === 'firefox') delete descriptor.isMobile;
+
+    return {
+      viewport: { width: 1280, height: 720 },
+      ...descriptor,
+      ...(viewport && { viewport }),
+      ...(locale && { locale }),
+      ...(timezone && { timezoneId: timezone })
+    };
+  }
+
+  /**
+   * Viewport size in screenshot pixels (emulated devices capture at their pixel ratio)
+   */
+  screenshotViewport() {
+    const { viewport, deviceScaleFactor = 1 } = this.getContextOptions();
+    return { width: viewport.width * deviceScaleFactor, height: viewport.height * deviceScaleFactor };
+  }
+
+  /**
+   * Baselines for this persona, browser and viewport, and for the branch when BASELINE_BRANCH
+   * is set; `overrides` replaces any of root, branch and parentBranch
+   */
+  async baselineStore(overrides = {}) {
+    const { root, branch, parentBranch } = { ...baselineOptions(), ...overrides };
+    return new BaselineStore({
+      persona: this.persona.id,
+      browser: this.variant.browser,
+      viewport: viewportKey(this.variant.device, this.getContextOptions().viewport),
+      branch: branch === 'auto' ? (await gitInfo()).branch : branch,
+      parentBranch,
+      root
+    });
   }
 
   async executePersona() {
@@ -60,95 +267,24 @@ export class TestRunner {
     console.log(`📝 Task: ${this.persona.task}`);
 
     try {
-      // Step 1: Navigate to product
-      await this.executeStep('navigate', 'Navigate to product', async () => {
-        await this.page.goto(this.config.productUrl, { waitUntil: 'networkidle' });
-      });
-      await this.takeScreenshot('01-navigate');
+      if (this.auth && !this.sessionRestored) {
+        await this.executeStep('auth-login', `Log in with credentials "${this.auth.profileName}" (${this.auth.strategy})`,
+          () => this.auth.login(this.page));
+      }
 
-      // Step 2: Wait for page to load
-      await this.executeStep('wait_for_page', 'Wait for page to load', async () => {
-        await this.page.waitForLoadState('domcontentloaded');
-      });
-      await this.takeScreenshot('02-page-loaded');
-
-      // Step 3: Analyze page structure
-      await this.executeStep('analyze_page', 'Analyze page structure', async () => {
-        const title = await this.page.title();
-        const buttons = await this.page.locator('button').count();
-        const inputs = await this.page.locator('input').count();
-        const links = await this.page.locator('a').count();
-        const forms = await this.page.locator('form').count();
-        
-        return { title, buttons, inputs, links, forms };
-      });
-      await this.takeScreenshot('03-page-analysis');
-
-      // Step 4: Look for authentication elements
-      await this.executeStep('find_auth', 'Look for authentication elements', async () => {
-        const signInElements = await this.page.locator('text=/sign.?in|log.?in|auth/i').count();
-        const emailInputs = await this.page.locator('input[type="email"]').count();
-        const passwordInputs = await this.page.locator('input[type="password"]').count();
-        
-        return { signInElements, emailInputs, passwordInputs };
-      });
-      await this.takeScreenshot('04-auth-search');
-
-      // Step 5: Try authentication if elements found
-      const authResult = await this.executeStep('attempt_auth', 'Attempt authentication', async () => {
-        const emailInput = await this.page.locator('input[type="email"]').first();
-        const passwordInput = await this.page.locator('input[type="password"]').first();
-        
-        if (await emailInput.count() > 0 && await passwordInput.count() > 0) {
-          await emailInput.fill(this.config.testEmail);
-          await passwordInput.fill(this.config.testPassword);
-          
-          // Look for submit button
-          const submitButton = await this.page.locator('button[type="submit"], input[type="submit"]').first();
-          if (await submitButton.count() > 0) {
-            await submitButton.click();
-            await this.page.waitForTimeout(2000);
-            return { attempted: true, success: true };
-          }
-        }
-        return { attempted: false, success: false };
-      });
-      await this.takeScreenshot('05-auth-attempt');
-
-      // Step 6: Execute persona-specific task
-      await this.executeStep('execute_task', 'Execute persona-specific task', async () => {
-        // This is where persona-specific logic would go
-        // For now, we'll do generic interaction
-        const buttons = await this.page.locator('button').all();
-        if (buttons.length > 0) {
-          await buttons[0].click();
-          await this.page.waitForTimeout(1000);
-        }
-        
-        // Look for forms to interact with
-        const inputs = await this.page.locator('input').all();
-        for (const input of inputs.slice(0, 2)) {
-          const type = await input.getAttribute('type');
-          if (type === 'text' || type === 'search') {
-            await input.fill(`Test input for ${this.persona.id}`);
-          }
-        }
-        
-        return { interactions: buttons.length + inputs.length };
-      });
-      await this.takeScreenshot('06-task-execution');
-
-      // Step 7: Final page state
-      await this.executeStep('final_state', 'Capture final page state', async () => {
-        const title = await this.page.title();
-        const url = this.page.url();
-        const contentLength = (await this.page.content()).length;
-        
-        return { title, url, contentLength };
-      });
-      await this.takeScreenshot('07-final-state');
+      if (this.persona.journey) {
+        await this.runJourney();
+      } else {
+        await this.executeStep('navigate', 'Navigate to product', async () => {
+          await this.page.goto(this.config.startUrl || this.config.productUrl, { waitUntil: 'networkidle' });
+          return { title: await this.page.title(), url: this.page.url() };
+        });
+        await this.takeScreenshot('01-navigate');
+
+        await this.runAgentLoop();
+      }
 
-      console.log('✅ Persona execution completed successfully');
+      console.log(`✅ Persona execution completed: goal ${this.outcome.status.replace('_', ' ')}`);
 
     } catch (error) {
       console.error('❌ Persona execution failed:', error);
@@ -156,8 +292,103 @@ export class TestRunner {
     }
   }
 
+  /**
+   * Scripted mode: run the persona's declarative journey step by step
+   */
+  async runJourney() {
+    console.log(`🗺️ Running scripted journey (${this.persona.journey.length} steps)`);
+    const journey = new Journey(this.persona.journey, {
+      baseUrl: this.config.productUrl,
+      startUrl: this.config.startUrl,
+      keyboard: this.keyboard,
+      variables: { email: this.config.testEmail, password: this.config.testPassword }
+    });
+    this.outcome = await journey.run(this);
+  }
+
+  /**
+   * Observe–decide–act loop: the model picks each action towards the
+   * persona's goal until it declares the goal achieved or abandoned, or
+   * the step budget runs out.
+   */
+  async runAgentLoop() {
+    const navigator = new AgentNavigator(this.persona, {
+      ai: this.getAIOptions(),
+      maxSteps: this.config.maxSteps,
+      credentials: { email: this.config.testEmail, password: this.config.testPassword },
+      keyboard: this.keyboard
+    });
+
+    let consecutiveFailures = 0;
+    this.outcome = { status: 'budget_exhausted', reason: `Step budget of ${this.config.maxSteps} actions used up` };
+
+    const giveUp = () => {
+      consecutiveFailures++;
+      if (consecutiveFailures < 3) return false;
+      this.outcome = { status: 'abandoned', reason: `${consecutiveFailures} consecutive actions failed` };
+      return true;
+    };
+
+    for (let turn = 1; turn <= this.config.maxSteps; turn++) {
+      let decision;
+      try {
+        const observation = await navigator.observe(this.page);
+        decision = await navigator.decide(observation, this.steps, turn);
+      } catch (error) {
+        // A malformed or unknown action; recorded like a failed step so the model sees it next turn
+        const stepId = `agent-${String(turn).padStart(2, '0')}-decide`;
+        this.steps.push({
+          stepId,
+          description: 'Decide the next action',
+          timestamp: new Date().toISOString(),
+          success: false,
+          duration: 0,
+          metrics: null,
+          error: error.message
+        });
+        console.error(`❌ Could not decide the next action:`, error.message);
+        if (giveUp()) {
+          await this.takeScreenshot(stepId);
+          return;
+        }
+        continue;
+      }
+      const stepId = `agent-${String(turn).padStart(2, '0')}-${decision.action}`;
+
+      if (decision.action === 'done' || decision.action === 'abandon') {
+        await this.executeStep(stepId, navigator.describe(decision), async () => ({
+          action: decision.action,
+          reasoning: decision.reasoning,
+          url: this.page.url()
+        }));
+        this.outcome = {
+          status: decision.action === 'done' ? 'achieved' : 'abandoned',
+          reason: decision.reasoning
+        };
+        await this.takeScreenshot(stepId);
+        return;
+      }
+
+      try {
+        await this.executeStep(stepId, navigator.describe(decision), () => navigator.act(this.page, decision));
+        consecutiveFailures = 0;
+      } catch (error) {
+        // The failure is already recorded in this.steps and shown to the model next turn
+        if (giveUp()) {
+          await this.takeScreenshot(stepId);
+          return;
+        }
+      }
+      await this.takeScreenshot(stepId);
+    }
+  }
+
   async executeStep(stepId, description, action) {
     console.log(`🤖 Executing: ${stepId} - ${description}`);
+    this.currentStepId = stepId;
+    if (this.performanceMonitor) await this.performanceMonitor.beginStep();
+    // Each step is a group in the trace viewer
+    if (this.config.trace !== 'off') await this.context.tracing.group(`${stepId}: ${description}`);
     
     const startTime = Date.now();
     try {
@@ -170,6 +401,7 @@ export class TestRunner {
         timestamp: new Date().toISOString(),
         success: true,
         duration,
+        metrics: await this.measureStep(),
         result
       });
       
@@ -184,20 +416,58 @@ export class TestRunner {
         timestamp: new Date().toISOString(),
         success: false,
         duration,
+        metrics: await this.measureStep(),
         error: error.message
       });
       
       console.error(`❌ Step failed after ${duration}ms:`, error.message);
       throw error;
+    } finally {
+      await this.auditAccessibility(stepId);
+      if (this.config.trace !== 'off') await this.context.tracing.groupEnd();
     }
   }
 
-  async takeScreenshot(name) {
+  async measureStep() {
+    return this.performanceMonitor ? this.performanceMonitor.endStep() : null;
+  }
+
+  async auditAccessibility(stepId) {
+    try {
+      const { violations, counts } = await this.auditor.audit(this.page, stepId);
+      if (violations.length > 0) {
+        console.log(`♿ ${Object.entries(counts).map(([rule, count]) => `${rule}: ${count}`).join(', ')}`);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Accessibility audit failed after ${stepId}:`, error.message);
+    }
+  }
+
+  /**
+   * Audit findings merged across steps, plus the keyboard-only focus order and issues
+   */
+  collectAccessibility() {
+    return {
+      ...this.auditor.toJSON(),
+      keyboardOnly: Boolean(this.keyboard),
+      ...(this.keyboard && this.keyboard.toJSON())
+    };
+  }
+
+  /**
+   * Full-page screenshot, or an element's, with the persona's ignore selectors
+   * and masks for this name; `overrides` adds settings for this capture only
+   */
+  async takeScreenshot(name, overrides = {}) {
     const screenshotPath = path.join(this.reportsDir, `${String(this.screenshots.length + 1).padStart(2, '0')}-${name}.png`);
     
     try {
-      await this.page.screenshot({ path: screenshotPath, fullPage: true });
+      const masks = await captureScreenshot(this.page, screenshotPath, withOverrides(screenshotSettings(this.config.visual, name), overrides), {
+        scale: this.getContextOptions().deviceScaleFactor || 1
+      });
       this.screenshots.push(screenshotPath);
+      this.screenshotSteps[path.basename(screenshotPath)] = this.currentStepId;
+      if (masks.length > 0) this.screenshotMasks[path.basename(screenshotPath)] = masks;
       console.log(`📸 Screenshot saved: ${screenshotPath}`);
       return screenshotPath;
     } catch (error) {
@@ -209,12 +479,62 @@ export class TestRunner {
   async generateReport() {
     console.log('📊 Generating product evaluation report...');
     
+    // The credentials profile may hold a TOTP secret and the login details; keep them out of the saved artifacts
+    const { credentials, testEmail, testPassword, ...config } = this.config;
+    const success = this.outcome ? this.outcome.status === 'achieved' : this.steps.every(step => step.success);
+    if (this.context) {
+      this.recordings = {
+        trace: TestRunner.keepRecording(this.config.trace, !success) ? 'trace.zip' : null,
+        video: TestRunner.keepRecording(this.config.video, !success) ? 'video.webm' : null
+      };
+    }
+    this.accessibility = this.accessibility || this.collectAccessibility();
+    this.diagnostics = this.diagnostics || this.signals.toJSON();
+    this.performance = {
+      budgets: this.config.budgets || {},
+      breaches: checkBudgets(this.steps, this.config.budgets)
+    };
+    // Compare screenshots first so the evaluation can weigh the triaged visual changes
+    if (this.screenshots.length > 0 && !this.rebuilt) {
+      const visualTester = new VisualRegressionTester(this.reportsDir, {
+        variant: variantLabel(this.variant),
+        baselines: await this.baselineStore(),
+        strict: this.config.strictBaselines,
+        compareMode: this.config.compareMode,
+        viewport: this.screenshotViewport(),
+        masks: this.screenshotMasks,
+        visual: this.config.visual
+      });
+      await visualTester.setup();
+      this.visualResults = await visualTester.compareScreenshots(this.screenshots, this.persona.id);
+      if (this.config.visualTriage) {
+        await new VisualTriage(this.getAIOptions()).triageResults(this.visualResults, {
+          persona: this.persona,
+          screenshotSteps: this.screenshotSteps
+        });
+      }
+      await visualTester.generateVisualRegressionReport(this.visualResults, this.persona.id);
+    }
+    this.visualTriage = this.triagedChanges();
+
     const artifacts = {
       steps: this.steps,
       screenshots: this.screenshots,
-      success: this.steps.every(step => step.success),
+      screenshotSteps: this.screenshotSteps,
+      screenshotMasks: this.screenshotMasks,
+      visualTriage: this.visualTriage,
+      visualResults: this.visualResults,
+      browser: this.variant.browser,
+      device: this.variant.device,
+      success,
+      outcome: this.outcome,
+      accessibility: this.accessibility,
+      performance: this.performance,
+      diagnostics: this.diagnostics,
+      har: this.config.har ? 'network.har' : null,
+      recordings: this.recordings,
       persona: this.persona,
-      config: this.config,
+      config,
       timestamp: new Date().toISOString()
     };
 
@@ -226,7 +546,7 @@ export class TestRunner {
 
     // Generate AI evaluation
     try {
-      const aiEvaluator = new AIEvaluator();
+      const aiEvaluator = new AIEvaluator(this.getAIOptions());
       const evaluation = await aiEvaluator.evaluateProductExperience(
         artifacts,
         this.persona,
@@ -239,14 +559,6 @@ export class TestRunner {
         JSON.stringify(evaluation, null, 2)
       );
 
-      // Run visual regression if screenshots exist
-      if (this.screenshots.length > 0) {
-        const visualTester = new VisualRegressionTester(this.reportsDir);
-        await visualTester.setup();
-        const visualResults = await visualTester.compareScreenshots(this.screenshots, this.persona.id);
-        await visualTester.generateVisualRegressionReport(visualResults, this.persona.id);
-      }
-
       // Generate markdown report
       const report = this.generateMarkdownReport(evaluation);
       await fs.writeFile(
@@ -254,7 +566,33 @@ export class TestRunner {
         report
       );
 
+      // Single-file HTML report with every image inlined
+      await new HtmlReport({
+        persona: this.persona,
+        variant: describeVariant(this.variant),
+        outcome: this.outcome,
+        evaluation,
+        steps: this.steps,
+        screenshots: this.screenshots,
+        screenshotSteps: this.screenshotSteps,
+        visualResults: this.visualResults
+      }).write(path.join(this.reportsDir, 'report.html'));
+
+      // Index the run so `validate-me history` can chart it against earlier ones
+      await new RunHistory().record(RunHistory.entry({
+        runId: path.basename(this.reportsDir),
+        persona: this.persona.id,
+        url: this.config.productUrl,
+        ...await gitInfo(),
+        variant: this.variant,
+        evaluation,
+        steps: this.steps,
+        outcome: this.outcome,
+        visualResults: this.visualResults
+      }));
+
       console.log(`📄 Report generated: ${path.join(this.reportsDir, 'ValidationReport.md')}`);
+      console.log(`🌐 HTML report: ${path.join(this.reportsDir, 'report.html')}`);
       
       return evaluation;
     } catch (error) {
@@ -264,8 +602,8 @@ export class TestRunner {
   }
 
   generateMarkdownReport(evaluation) {
-    const screenshots = this.screenshots.map((screenshot, index) => 
-      `![Step ${index + 1}](./${path.basename(screenshot)})`
+    const screenshots = this.screenshots.map(screenshot => 
+      `![${path.basename(screenshot, '.png')}](./${path.basename(screenshot)})`
     ).join('\n\n');
 
     const overallScore = Object.values(evaluation.rubric).reduce((sum, r) => sum + r.score, 0) / Object.keys(evaluation.rubric).length;
@@ -275,7 +613,8 @@ export class TestRunner {
 **Persona:** ${this.persona.id}  
 **Goal:** ${this.persona.goal}  
 **Task:** ${this.persona.task}  
-**Generated:** ${new Date().toISOString()}
+**Browser:** ${describeVariant(this.variant)}  
+${this.outcome ? `**Outcome:** ${this.outcome.status.replace('_', ' ')} — ${this.outcome.reason}  \n` : ''}**Generated:** ${new Date().toISOString()}
 
 ## Executive Summary
 
@@ -286,7 +625,7 @@ ${evaluation.summary}
 | Criteria | Score | Justification |
 |----------|-------|---------------|
 ${Object.entries(evaluation.rubric).map(([key, value]) => 
-  `| ${key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())} | ${value.score}/5 | ${value.justification} |`
+  `| ${key.replace(/_/g, ' ').replace(/^./, str => str.toUpperCase())} | ${value.score}/5 | ${value.justification} |`
 ).join('\n')}
 
 ## Overall Score
@@ -299,19 +638,36 @@ ${Object.entries(evaluation.rubric).map(([key, value]) =>
 
 ## Top Blockers
 
-${evaluation.blockers ? evaluation.blockers.map((blocker, index) => `${index + 1}. ${blocker}`).join('\n') : 'No blockers identified'}
+${evaluation.blockers.length > 0 ? evaluation.blockers.map((blocker, index) => `${index + 1}. ${blocker}`).join('\n') : 'No blockers identified'}
 
 ## Quick Wins
 
-${evaluation.quickWins ? evaluation.quickWins.map((win, index) => `${index + 1}. ${win}`).join('\n') : 'No quick wins identified'}
+${evaluation.quickWins.length > 0 ? evaluation.quickWins.map((win, index) => `${index + 1}. ${win}`).join('\n') : 'No quick wins identified'}
+
+## Accessibility
+
+${this.generateAccessibilitySection()}
+
+## Performance
+
+${this.generatePerformanceSection()}
+
+## Console & Network
+
+${this.generateDiagnosticsSection()}
+${this.visualTriage?.length > 0 ? `
+## Visual Changes
 
+${this.generateVisualChangesSection()}
+` : ''}
 ## Step-by-Step Analysis
 
 ${this.steps.map((step, index) => `
-### Step ${index + 1}: ${step.description}
+### Step ${index + 1}: ${step.description} (\`${step.stepId}\`)
 - **Timestamp:** ${step.timestamp}
 - **Duration:** ${step.duration}ms
 - **Status:** ${step.success ? '✅ Success' : '❌ Failed'}
+${step.result?.reasoning ? `- **Reasoning:** ${step.result.reasoning}` : ''}
 ${step.result ? `- **Result:** ${JSON.stringify(step.result, null, 2)}` : ''}
 ${step.error ? `- **Error:** ${step.error}` : ''}
 `).join('\n')}
@@ -322,14 +678,158 @@ ${screenshots}
 
 ## Raw Data
 
+- [HTML report](./report.html)
 - [Artifacts](./artifacts.json)
 - [Evaluation](./evaluation.json)
-`;
+${this.config.har ? '- [Network log (HAR)](./network.har)\n' : ''}${this.recordings?.trace ? `- [Playwright trace](./trace.zip) — replay step by step with \`npx playwright show-trace ${path.join(this.reportsDir, 'trace.zip')}\`\n` : ''}${this.recordings?.video ? '- [Session video](./video.webm)\n' : ''}`;
   }
 
+  /**
+   * Triaged visual regression failures, most severe first, for the evaluation
+   * and the report
+   */
+  triagedChanges() {
+    return (this.visualResults?.comparisons || [])
+      .filter(comparison => comparison.triage?.category)
+      .map(comparison => ({
+        name: comparison.name,
+        stepId: this.screenshotSteps[comparison.filename] || null,
+        diffPercentage: comparison.diffPercentage,
+        ...comparison.triage
+      }))
+      .sort((a, b) => TRIAGE_SEVERITIES.indexOf(b.severity) - TRIAGE_SEVERITIES.indexOf(a.severity));
+  }
+
+  generateVisualChangesSection() {
+    const cell = text => String(text).replace(/\|/g, '\\|');
+    const regressions = this.visualTriage.filter(change => REGRESSION_CATEGORIES.includes(change.category)).length;
+
+    return `${regressions > 0 ? `⚠️ **${regressions} of ${this.visualTriage.length} visual differences look like regressions.**` : `✅ **None of the ${this.visualTriage.length} visual differences look like regressions.**`} See [the visual regression report](./visual-regression-report.md) for the diffs.
+
+| Screenshot | Step | Diff % | Change | Severity | Description |
+|------------|------|--------|--------|----------|-------------|
+${this.visualTriage.map(change => `| ${change.name} | ${change.stepId ? `\`${change.stepId}\`` : '—'} | ${change.diffPercentage.toFixed(2)}% | ${TRIAGE_CATEGORIES[change.category]} | ${change.severity} | ${cell(change.description)} |`).join('\n')}`;
+  }
+
+  generateDiagnosticsSection() {
+    if (!this.diagnostics) return 'No console or network signals recorded';
+
+    const { counts, byStep, messages, dropped } = this.diagnostics;
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    if (total === 0) return '✅ No console errors, uncaught exceptions or failed requests';
+
+    const types = Object.keys(SIGNAL_TYPES).filter(type => counts[type] > 0);
+    const cell = text => String(text).replace(/\|/g, '\\|');
+
+    return `${types.map(type => `- **${SIGNAL_TYPES[type]}:** ${counts[type]}`).join('\n')}${dropped > 0 ? `\n- **Not recorded (limit reached):** ${dropped}` : ''}
+
+| Step | ${types.map(type => SIGNAL_TYPES[type]).join(' | ')} |
+|------|${types.map(() => '---').join('|')}|
+${Object.entries(byStep).map(([step, stepCounts]) => `| \`${step}\` | ${types.map(type => stepCounts[type] || 0).join(' | ')} |`).join('\n')}
+
+### Messages
+
+${messages.slice(0, 20).map(entry => `- ${SIGNAL_TYPES[entry.type]}${entry.count > 1 ? ` (×${entry.count})` : ''} at ${entry.steps.map(step => `\`${step}\``).join(', ')}: ${cell(entry.message)}`).join('\n')}${messages.length > 20 ? `\n\n…and ${messages.length - 20} more in artifacts.json` : ''}`;
+  }
+
+  generatePerformanceSection() {
+    const measured = this.steps.filter(step => step.metrics);
+    if (measured.length === 0) return 'No performance metrics recorded';
+
+    const columns = ['ttfb', 'lcp', 'cls', 'inp', 'tbt', 'requests', 'bytes', 'jsHeap'];
+    const { breaches } = this.performance;
+    const breached = (stepId, metric) => breaches.some(b => b.stepId === stepId && b.metric === metric);
+
+    const table = `| Step | ${columns.map(metric => BUDGET_METRICS[metric].label).join(' | ')} |
+|------|${columns.map(() => '---').join('|')}|
+${measured.map(step => `| \`${step.stepId}\` | ${columns.map(metric => {
+    const value = formatMetric(metric, step.metrics[metric]);
+    return breached(step.stepId, metric) ? `**${value}** ❌` : value;
+  }).join(' | ')} |`).join('\n')}`;
+
+    const budgetSummary = Object.keys(this.performance.budgets).length === 0
+      ? 'No performance budgets declared'
+      : breaches.length > 0
+        ? `### Budget Breaches
+
+${breaches.map(b => `- ❌ \`${b.stepId}\`: ${BUDGET_METRICS[b.metric].label} ${formatMetric(b.metric, b.value)} exceeds ${formatMetric(b.metric, b.max)} (budget \`${b.budget}\`)`).join('\n')}`
+        : '✅ All performance budgets met';
+
+    return `${table}
+
+${budgetSummary}`;
+  }
+
+  generateAccessibilitySection() {
+    if (!this.accessibility) return 'No accessibility audit recorded';
+
+    const { violations, focusOrder = [], issues = [], keyboardOnly } = this.accessibility;
+    const cell = text => String(text).replace(/\|/g, '\\|');
+    const sections = [];
+
+    sections.push(violations.length > 0
+      ? `${violations.length} issue(s) found by the automated audit:
+
+| Impact | Rule | Element | Issue | Steps |
+|--------|------|---------|-------|-------|
+${violations.map(v => `| ${v.impact} | ${v.rule} | \`${cell(v.target)}\` | ${cell(v.message)} | ${v.steps.map(step => `\`${step}\``).join(', ')} |`).join('\n')}`
+      : `No violations found (checked: ${Object.keys(A11Y_RULES).join(', ')})`);
+
+    if (keyboardOnly) {
+      sections.push(`### Keyboard-Only Navigation
+
+${issues.length > 0
+    ? issues.map(issue => `- ❌ **${issue.type}** at \`${issue.step}\`: ${issue.target} — ${issue.detail}`).join('\n')
+    : '- ✅ Every target was reached with Tab and activated with Enter/Space'}
+
+**Focus order** (${focusOrder.length} stops):
+
+${focusOrder.length > 0 ? focusOrder.slice(0, 50).map((entry, index) => `${index + 1}. ${entry.role || entry.tag} "${entry.name}" (\`${entry.step}\`)`).join('\n') : 'No focus changes recorded'}${focusOrder.length > 50 ? `\n\n…and ${focusOrder.length - 50} more in artifacts.json` : ''}`);
+    }
+
+    return sections.join('\n\n');
+  }
+
+  static keepRecording(mode, failed) {
+    return mode === 'always' || (mode === 'on-failure' && failed);
+  }
+
+  /**
+   * Without a report the run crashed, which counts as a failure for on-failure recordings
+   */
   async cleanup() {
+    const recordings = this.recordings || {
+      trace: TestRunner.keepRecording(this.config.trace, true) ? 'trace.zip' : null,
+      video: TestRunner.keepRecording(this.config.video, true) ? 'video.webm' : null
+    };
+
+    if (this.context && this.config.trace !== 'off') {
+      await this.context.tracing.stop(recordings.trace ? { path: path.join(this.reportsDir, recordings.trace) } : {})
+        .catch(error => console.warn('⚠️ Saving the trace failed:', error.message));
+      if (recordings.trace) console.log(`🎞️ Trace saved: ${path.join(this.reportsDir, recordings.trace)}`);
+    }
+
+    const video = this.page?.video();
     if (this.page) await this.page.close();
-    if (this.browser) await this.browser.close();
+    if (video) {
+      // Playwright names the recording itself; keep it under a stable name or drop it
+      if (recordings.video) {
+        await video.saveAs(path.join(this.reportsDir, recordings.video));
+        console.log(`🎬 Video saved: ${path.join(this.reportsDir, recordings.video)}`);
+      }
+      await video.delete();
+    }
+
+    if (this.context) await this.context.close();
+    if (this.context && this.config.har) {
+      const harPath = path.join(this.reportsDir, 'network.har');
+      await redactHar(harPath).catch(async error => {
+        // Better no network log than one holding session cookies
+        console.warn('⚠️ Redacting the network log failed, so it was removed:', error.message);
+        await fs.rm(harPath, { force: true });
+      });
+    }
+    if (this.browser && this.ownsBrowser) await this.browser.close();
   }
 }
 
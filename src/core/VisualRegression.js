@@ -3,21 +3,150 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { PNG } from 'pngjs';
-import pixelmatch from 'pixelmatch';
+import { readPNG, extract } from './ImageUtils.js';
+import { screenshotKeys } from './Baselines.js';
+import { screenshotSettings } from './Capture.js';
+import { DIFF_METRICS, diffImages, clusterRegions, drawRegions } from './ImageDiff.js';
+import { TRIAGE_CATEGORIES, REGRESSION_CATEGORIES } from './VisualTriage.js';
 
 /**
  * Visual Regression Testing System
  * Compares screenshots across test runs to detect UI changes
  */
+
+export const COMPARE_MODES = ['full', 'viewport'];
+
+// Diff colours for area only one of the screenshots has
+const ADDED_COLOR = [0, 112, 255];
+const REMOVED_COLOR = [255, 160, 0];
+// Masked areas show as light grey in diff images
+const MASKED_SHADE = 220;
+// Regions listed per screenshot in the report; all of them are drawn
+const MAX_LISTED_REGIONS = 20;
+const REGION_COLORS = { changed: [255, 0, 0], added: ADDED_COLOR, removed: REMOVED_COLOR };
+
+/**
+ * How the current screenshot's size differs from the baseline's, or null when it doesn't
+ */
+export function measureSizeChange(baseline, current) {
+  if (baseline.width === current.width && baseline.height === current.height) return null;
+  const shared = Math.min(baseline.width, current.width) * Math.min(baseline.height, current.height);
+  return {
+    before: { width: baseline.width, height: baseline.height },
+    after: { width: current.width, height: current.height },
+    width: current.width - baseline.width,
+    height: current.height - baseline.height,
+    addedPixels: current.width * current.height - shared,
+    removedPixels: baseline.width * baseline.height - shared
+  };
+}
+
+/**
+ * "page grew by 340px", "page shrank by 120px and widened by 20px"…
+ */
+export function describeSizeChange(sizeChange) {
+  if (!sizeChange) return '';
+  const parts = [];
+  if (sizeChange.height) parts.push(`${sizeChange.height > 0 ? 'grew' : 'shrank'} by ${Math.abs(sizeChange.height)}px`);
+  if (sizeChange.width) parts.push(`${sizeChange.width > 0 ? 'widened' : 'narrowed'} by ${Math.abs(sizeChange.width)}px`);
+  return `page ${parts.join(' and ')}`;
+}
+
+/**
+ * Give masked regions the same neutral pixels in every image so they can't
+ * differ. Returns a per-pixel map of the `width`×`height` area they cover.
+ */
+function applyMasks(images, width, height, regions) {
+  const masked = new Uint8Array(width * height);
+  for (const region of regions) {
+    for (let y = Math.max(0, region.y); y < Math.min(height, region.y + region.height); y++) {
+      for (let x = Math.max(0, region.x); x < Math.min(width, region.x + region.width); x++) {
+        masked[y * width + x] = 1;
+      }
+    }
+  }
+  masked.forEach((isMasked, index) => {
+    if (!isMasked) return;
+    for (const image of images) image.data.fill(MASKED_SHADE, index * 4, index * 4 + 4);
+  });
+  return masked;
+}
+
+/**
+ * Area only one of the screenshots has, as regions on the shared canvas
+ */
+function sizeRegions(baseline, current) {
+  const regions = [];
+  for (const [type, image, other] of [['added', current, baseline], ['removed', baseline, current]]) {
+    if (image.height > other.height) {
+      regions.push({ type, x: 0, y: other.height, width: image.width, height: image.height - other.height });
+    }
+    if (image.width > other.width) {
+      const height = Math.min(image.height, other.height);
+      regions.push({ type, x: other.width, y: 0, width: image.width - other.width, height });
+    }
+  }
+  return regions.map(region => ({ ...region, pixels: region.width * region.height }));
+}
+
+/**
+ * Diff of the shared area on a canvas the size of both images, with area
+ * only the current screenshot has in blue and area only the baseline had in orange
+ */
+function paintSizeChange(overlap, baseline, current) {
+  const width = Math.max(baseline.width, current.width);
+  const height = Math.max(baseline.height, current.height);
+  const canvas = new PNG({ width, height });
+  PNG.bitblt(overlap, canvas, 0, 0, overlap.width, overlap.height, 0, 0);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = y < overlap.height ? overlap.width : 0; x < width; x++) {
+      const inCurrent = x < current.width && y < current.height;
+      const inBaseline = x < baseline.width && y < baseline.height;
+      if (!inCurrent && !inBaseline) continue;
+      const color = inCurrent ? ADDED_COLOR : REMOVED_COLOR;
+      const i = (y * width + x) * 4;
+      canvas.data[i] = color[0];
+      canvas.data[i + 1] = color[1];
+      canvas.data[i + 2] = color[2];
+      canvas.data[i + 3] = 255;
+    }
+  }
+  return canvas;
+}
+
 export class VisualRegressionTester {
-  constructor(reportsDir) {
+  /**
+   * @param {string} reportsDir
+   * @param {object} options  variant label, the BaselineStore holding this run's baselines,
+   *                          `strict` to leave new screenshots pending instead of accepting them,
+   *                          `compareMode` (full or viewport), the viewport size in screenshot pixels,
+   *                          the masked regions of each screenshot (by file name), the persona's
+   *                          `visual` settings, and the default metric and thresholds
+   */
+  constructor(reportsDir, options = {}) {
     this.reportsDir = reportsDir;
-    this.baselineDir = path.join(reportsDir, '..', '..', 'baselines');
+    this.variant = options.variant || null;
+    this.baselines = options.baselines || null;
+    this.strict = Boolean(options.strict);
+    this.compareMode = options.compareMode || process.env.VISUAL_COMPARE_MODE || 'full';
+    this.viewport = options.viewport || null;
+    this.masks = options.masks || {};
+    this.visual = options.visual || null;
+    this.metric = options.metric || process.env.VISUAL_METRIC || 'antialias';
+    this.threshold = options.threshold ?? parseFloat(process.env.VISUAL_THRESHOLD || '5');
+    this.pixelThreshold = options.pixelThreshold ?? parseFloat(process.env.VISUAL_PIXEL_THRESHOLD || '0.1');
+    if (!DIFF_METRICS.includes(this.metric)) {
+      throw new Error(`❌ Unknown diff metric "${this.metric}". Use one of: ${DIFF_METRICS.join(', ')}`);
+    }
+    if (!COMPARE_MODES.includes(this.compareMode)) {
+      throw new Error(`❌ Unknown compare mode "${this.compareMode}". Use one of: ${COMPARE_MODES.join(', ')}`);
+    }
     this.diffDir = path.join(reportsDir, 'diffs');
   }
 
   async setup() {
-    await fs.mkdir(this.baselineDir, { recursive: true });
+    if (this.baselines) await fs.mkdir(this.baselines.dir, { recursive: true });
     await fs.mkdir(this.diffDir, { recursive: true });
   }
 
@@ -29,48 +158,78 @@ export class VisualRegressionTester {
       passed: 0,
       failed: 0,
       new: 0,
+      pending: 0,
       comparisons: []
     };
 
-    for (const screenshot of currentScreenshots) {
+    for (const [name, screenshot] of screenshotKeys(currentScreenshots)) {
       const filename = path.basename(screenshot);
-      const baselinePath = path.join(this.baselineDir, filename);
       const diffPath = path.join(this.diffDir, `${runId}-${filename}`);
+      let baselinePath = path.join(this.baselines.dir, `${name}.png`);
 
       results.total++;
 
       try {
-        if (!await this.fileExists(baselinePath)) {
+        const baseline = await this.baselines.resolve(name);
+        if (!baseline && this.strict) {
+          // Strict mode: nothing becomes a baseline until `validate-me baseline approve`
+          results.new++;
+          results.pending++;
+          results.comparisons.push({
+            filename,
+            name,
+            status: 'new',
+            pending: true,
+            baseline: null,
+            current: screenshot,
+            diff: null,
+            diffPercentage: 0
+          });
+          console.log(`🆕 Pending approval: ${name} (no baseline for ${this.baselines.describe()})`);
+        } else if (!baseline) {
           // New screenshot - copy to baseline
-          await fs.copyFile(screenshot, baselinePath);
+          baselinePath = await this.baselines.write(name, screenshot);
           results.new++;
           results.comparisons.push({
             filename,
+            name,
             status: 'new',
             baseline: baselinePath,
             current: screenshot,
             diff: null,
             diffPercentage: 0
           });
-          console.log(`📸 New baseline: ${filename}`);
+          console.log(`📸 New baseline: ${name} (${this.baselines.describe()})`);
         } else {
-          // Compare with baseline
+          // Compare with baseline; one inherited from a parent key is never overwritten here
+          baselinePath = baseline.path;
           const comparison = await this.compareImages(screenshot, baselinePath, diffPath);
           results.comparisons.push({
             filename,
+            name,
             status: comparison.passed ? 'passed' : 'failed',
             baseline: baselinePath,
+            ...(baseline.inherited && { inheritedFrom: baseline.branch || 'shared' }),
             current: screenshot,
             diff: comparison.passed ? null : diffPath,
-            diffPercentage: comparison.diffPercentage
+            annotated: comparison.annotatedPath,
+            diffPercentage: comparison.diffPercentage,
+            metric: comparison.metric,
+            threshold: comparison.threshold,
+            sizeChange: comparison.sizeChange,
+            maskedPixels: comparison.maskedPixels,
+            regions: comparison.regions
           });
 
+          const source = baseline.inherited ? ` vs ${baseline.branch || 'shared'} baseline` : '';
+          const resized = comparison.sizeChange ? `, ${describeSizeChange(comparison.sizeChange)}` : '';
           if (comparison.passed) {
             results.passed++;
-            console.log(`✅ Match: ${filename} (${comparison.diffPercentage.toFixed(2)}% diff)`);
+            console.log(`✅ Match: ${name} (${comparison.diffPercentage.toFixed(2)}% diff${resized}${source})`);
           } else {
             results.failed++;
-            console.log(`❌ Diff: ${filename} (${comparison.diffPercentage.toFixed(2)}% diff)`);
+            results.pending++;
+            console.log(`❌ Diff: ${name} (${comparison.diffPercentage.toFixed(2)}% ${comparison.metric} diff, limit ${comparison.threshold}%, ${comparison.regions.length} region(s)${resized}${source})`);
           }
         }
       } catch (error) {
@@ -78,6 +237,7 @@ export class VisualRegressionTester {
         results.failed++;
         results.comparisons.push({
           filename,
+          name,
           status: 'error',
           baseline: baselinePath,
           current: screenshot,
@@ -92,67 +252,99 @@ export class VisualRegressionTester {
     return results;
   }
 
-  async compareImages(currentPath, baselinePath, diffPath) {
+  /**
+   * Metric and thresholds for a screenshot: its own `visual.screenshots`
+   * settings, then the persona's, then VISUAL_METRIC/VISUAL_THRESHOLD/VISUAL_PIXEL_THRESHOLD
+   */
+  settingsFor(screenshotPath) {
+    const own = screenshotSettings(this.visual, path.basename(screenshotPath, '.png'));
+    return {
+      metric: own.metric ?? this.metric,
+      threshold: own.threshold ?? this.threshold,
+      pixelThreshold: own.pixelThreshold ?? this.pixelThreshold
+    };
+  }
+
+  /**
+   * Diff of two screenshots that may differ in size. Both are laid on a
+   * shared canvas: the area both cover is compared with the screenshot's
+   * metric and the area only one of them has (page grew or shrank) is
+   * counted on its own. In `viewport` mode only the top viewport-sized
+   * region is compared. Masked regions (in the current screenshot's pixels)
+   * are left out of the diff percentage. Changed pixels are grouped into
+   * regions, outlined on an annotated copy of the current screenshot.
+   */
+  async compareImages(currentPath, baselinePath, diffPath, {
+    mode = this.compareMode,
+    viewport = this.viewport,
+    masks = this.masks[path.basename(currentPath)] || [],
+    ...overrides
+  } = {}) {
+    const { metric, threshold, pixelThreshold } = { ...this.settingsFor(currentPath), ...overrides };
     const currentImage = await this.loadPNG(currentPath);
     const baselineImage = await this.loadPNG(baselinePath);
+    const sizeChange = measureSizeChange(baselineImage, currentImage);
 
-    const { width, height } = currentImage;
-    const diff = new PNG({ width, height });
-
-    const diffPixels = pixelmatch(
-      currentImage.data,
-      baselineImage.data,
-      diff.data,
-      width,
-      height,
-      {
-        threshold: 0.1, // 10% threshold for differences
-        alpha: 0.1,
-        diffColor: [255, 0, 0], // Red for differences
-        diffColorAlt: [0, 255, 0] // Green for differences (alternative)
-      }
-    );
+    let width = Math.min(currentImage.width, baselineImage.width);
+    let height = Math.min(currentImage.height, baselineImage.height);
+    if (mode === 'viewport' && viewport) {
+      width = Math.min(width, viewport.width);
+      height = Math.min(height, viewport.height);
+    }
 
-    const diffPercentage = (diffPixels / (width * height)) * 100;
-    const passed = diffPercentage < 5; // 5% threshold for passing
+    const current = extract(currentImage, width, height);
+    const baseline = extract(baselineImage, width, height);
+    const masked = applyMasks([current, baseline], width, height, masks);
+    const maskedPixels = masked.reduce((sum, isMasked) => sum + isMasked, 0);
+
+    const { diff: overlap, changed, difference } = diffImages(current, baseline, { metric, pixelThreshold, ignored: masked });
+    if (maskedPixels > 0) applyMasks([overlap], width, height, masks);
+    const regions = clusterRegions(changed, width, height);
+
+    let diff = overlap;
+    let changedPixels = difference;
+    if (mode === 'full' && sizeChange) {
+      diff = paintSizeChange(overlap, baselineImage, currentImage);
+      changedPixels += sizeChange.addedPixels + sizeChange.removedPixels;
+      regions.push(...sizeRegions(baselineImage, currentImage));
+    }
+
+    const comparedPixels = diff.width * diff.height - maskedPixels;
+    const diffPercentage = comparedPixels > 0 ? (changedPixels / comparedPixels) * 100 : 0;
+    const passed = diffPercentage < threshold;
 
+    let annotatedPath = null;
     if (!passed) {
-      // Save diff image
+      // Save diff image, and the current screenshot with the changed regions outlined
       await this.savePNG(diff, diffPath);
+      const canvas = new PNG({ width: diff.width, height: diff.height });
+      PNG.bitblt(currentImage, canvas, 0, 0, Math.min(currentImage.width, canvas.width), Math.min(currentImage.height, canvas.height), 0, 0);
+      annotatedPath = diffPath.replace(/\.png$/, '-annotated.png');
+      await this.savePNG(drawRegions(canvas, regions, REGION_COLORS), annotatedPath);
     }
 
     return {
       passed,
-      diffPixels,
+      diffPixels: Math.round(difference),
       diffPercentage,
-      diffPath: passed ? null : diffPath
+      diffPath: passed ? null : diffPath,
+      annotatedPath,
+      metric,
+      threshold,
+      mode,
+      sizeChange,
+      maskedPixels,
+      regions
     };
   }
 
   async loadPNG(imagePath) {
-    return new Promise((resolve, reject) => {
-      const image = new PNG();
-      const stream = fs.createReadStream(imagePath);
-      
-      stream.pipe(image);
-      
-      image.on('parsed', () => {
-        resolve(image);
-      });
-      
-      image.on('error', reject);
-    });
+    return readPNG(imagePath);
   }
 
   async savePNG(image, outputPath) {
-    return new Promise((resolve, reject) => {
-      const stream = fs.createWriteStream(outputPath);
-      
-      image.pack().pipe(stream);
-      
-      stream.on('finish', resolve);
-      stream.on('error', reject);
-    });
+    // fs/promises has no streams; encode in one go
+    await fs.writeFile(outputPath, PNG.sync.write(image));
   }
 
   async fileExists(filePath) {
@@ -170,6 +362,7 @@ export class VisualRegressionTester {
     let report = `# Visual Regression Report
 
 **Run ID:** ${runId}  
+${this.variant ? `**Browser/Device:** ${this.variant}  \n` : ''}**Baselines:** ${this.baselines.describe()}  
 **Date:** ${new Date().toISOString()}  
 **Total Screenshots:** ${comparisonResults.total}
 
@@ -178,24 +371,63 @@ export class VisualRegressionTester {
 - ✅ **Passed:** ${comparisonResults.passed}
 - ❌ **Failed:** ${comparisonResults.failed}  
 - 📸 **New:** ${comparisonResults.new}
+- ⏳ **Pending approval:** ${comparisonResults.pending || 0}
 
 ## Detailed Results
 
-| Screenshot | Status | Diff % | Baseline | Current | Diff |
-|------------|--------|--------|----------|---------|------|
+| Screenshot | Status | Diff % | Limit | Baseline | Current | Diff |
+|------------|--------|--------|-------|----------|---------|------|
 `;
 
     for (const comparison of comparisonResults.comparisons) {
       const status = comparison.status === 'passed' ? '✅' : 
                     comparison.status === 'failed' ? '❌' : 
-                    comparison.status === 'new' ? '📸' : '⚠️';
+                    comparison.status === 'new' ? (comparison.pending ? '🆕' : '📸') : '⚠️';
       
-      const diffPercent = comparison.diffPercentage ? `${comparison.diffPercentage.toFixed(2)}%` : 'N/A';
-      const baselineLink = comparison.baseline ? `[Baseline](${path.basename(comparison.baseline)})` : 'N/A';
+      const diffPercent = comparison.diffPercentage ? `${comparison.diffPercentage.toFixed(2)}%${comparison.sizeChange ? ` (${describeSizeChange(comparison.sizeChange)})` : ''}` : 'N/A';
+      const baselineLink = comparison.baseline ? `[Baseline${comparison.inheritedFrom ? ` (${comparison.inheritedFrom})` : ''}](${path.relative(this.reportsDir, comparison.baseline)})` : 'N/A';
       const currentLink = comparison.current ? `[Current](${path.basename(comparison.current)})` : 'N/A';
-      const diffLink = comparison.diff ? `[Diff](${path.basename(comparison.diff)})` : 'N/A';
+      const diffLink = comparison.diff
+        ? `[Diff](${path.relative(this.reportsDir, comparison.diff)})${comparison.annotated ? ` · [Regions](${path.relative(this.reportsDir, comparison.annotated)})` : ''}`
+        : 'N/A';
+      const limit = comparison.threshold !== undefined ? `${comparison.threshold}% ${comparison.metric}` : 'N/A';
 
-      report += `| ${comparison.filename} | ${status} | ${diffPercent} | ${baselineLink} | ${currentLink} | ${diffLink} |\n`;
+      report += `| ${comparison.filename} | ${status} | ${diffPercent} | ${limit} | ${baselineLink} | ${currentLink} | ${diffLink} |\n`;
+    }
+
+    const withRegions = comparisonResults.comparisons.filter(comparison => comparison.status === 'failed' && comparison.regions?.length > 0);
+    if (withRegions.length > 0) {
+      report += `
+## Changed Regions
+
+Coordinates are in screenshot pixels from the top-left corner; added and removed regions are area only one of the screenshots has.
+`;
+      for (const comparison of withRegions) {
+        const shown = comparison.regions.slice(0, MAX_LISTED_REGIONS);
+        report += `
+### ${comparison.filename}
+
+| # | Type | X | Y | Width | Height | Changed pixels |
+|---|------|---|---|-------|--------|----------------|
+${shown.map((region, index) => `| ${index + 1} | ${region.type} | ${region.x} | ${region.y} | ${region.width} | ${region.height} | ${region.pixels} |`).join('\n')}
+${comparison.regions.length > shown.length ? `\n_…and ${comparison.regions.length - shown.length} smaller regions._\n` : ''}`;
+      }
+    }
+
+    const triaged = comparisonResults.comparisons.filter(comparison => comparison.triage);
+    if (triaged.length > 0) {
+      const cell = text => String(text).replace(/\|/g, '\\|');
+      report += `
+## AI Triage
+
+Failed comparisons as classified by ${triaged.length < comparisonResults.failed ? `the vision model (the ${triaged.length} largest of ${comparisonResults.failed}, see AI_TRIAGE_LIMIT)` : 'the vision model'}.
+
+| Screenshot | Change | Severity | Description |
+|------------|--------|----------|-------------|
+${triaged.map(comparison => comparison.triage.error
+    ? `| ${comparison.filename} | ⚠️ not triaged | — | ${cell(comparison.triage.error)} |`
+    : `| ${comparison.filename} | ${TRIAGE_CATEGORIES[comparison.triage.category]} | ${comparison.triage.severity} | ${cell(comparison.triage.description)} |`).join('\n')}
+`;
     }
 
     report += `
@@ -207,8 +439,26 @@ export class VisualRegressionTester {
       report += `⚠️ **${comparisonResults.failed} screenshots have visual differences.** Please review the diff images to determine if changes are intentional or represent UI regressions.\n\n`;
     }
 
-    if (comparisonResults.new > 0) {
-      report += `📸 **${comparisonResults.new} new screenshots added to baseline.** These will be used as the new reference for future comparisons.\n\n`;
+    if (comparisonResults.triage) {
+      const regressions = REGRESSION_CATEGORIES.reduce((sum, category) => sum + comparisonResults.triage[category], 0);
+      const noise = comparisonResults.triage['dynamic-noise'];
+      report += `🧐 **AI triage:** ${regressions} likely regression(s), ${comparisonResults.triage['intentional-redesign']} intentional redesign(s), ${noise} dynamic-content noise.${noise > 0 ? ' Mask noisy elements with `ignore` under `visual:` in personas.yaml so they stop failing.' : ''}\n\n`;
+    }
+
+    const accepted = comparisonResults.comparisons.filter(comparison => comparison.status === 'new' && !comparison.pending).length;
+    if (accepted > 0) {
+      report += `📸 **${accepted} new screenshots added to baseline.** These will be used as the new reference for future comparisons.\n\n`;
+    }
+
+    if (comparisonResults.new > accepted) {
+      report += `🆕 **${comparisonResults.new - accepted} new screenshots are pending approval** (strict baselines). Approve them with \`validate-me baseline approve ${path.basename(this.reportsDir)} --all\`.\n\n`;
+    }
+
+    const resized = comparisonResults.comparisons.filter(comparison => comparison.sizeChange);
+    if (resized.length > 0) {
+      report += `📐 **${resized.length} screenshots changed size:** ${resized.map(comparison => `${comparison.name} (${describeSizeChange(comparison.sizeChange)})`).join(', ')}. ${this.compareMode === 'full'
+        ? 'Area only one of the images has counts as different and is shown in blue (added) or orange (removed) in the diff.'
+        : 'Only the top viewport-sized region was compared.'}\n\n`;
     }
 
     if (comparisonResults.passed > 0) {
@@ -218,17 +468,21 @@ export class VisualRegressionTester {
     report += `## Next Steps
 
 1. **Review Failed Comparisons**: Check diff images for unintended UI changes
-2. **Update Baselines**: If changes are intentional, they will automatically become new baselines
+2. **Update Baselines**: If changes are intentional, approve them with \`validate-me baseline approve ${path.basename(this.reportsDir)} <screenshot|glob>\`, or reject them with \`validate-me baseline reject\`
 3. **Investigate Failures**: Look for patterns in failed comparisons (e.g., timing issues, dynamic content)
-4. **Optimize Thresholds**: Adjust diff thresholds if needed for better accuracy
+4. **Optimize Thresholds**: Set \`metric\`, \`threshold\` or \`pixelThreshold\` under \`visual:\` in personas.yaml for noisy personas or screenshots
 
 ## Technical Details
 
-- **Diff Threshold**: 5% (configurable)
-- **Baseline Directory**: \`${this.baselineDir}\`
+- **Diff Metric**: ${this.metric} (per persona or screenshot under \`visual:\`, or VISUAL_METRIC)
+- **Diff Threshold**: ${this.threshold}%, ${this.pixelThreshold} colour sensitivity (per persona or screenshot, or VISUAL_THRESHOLD/VISUAL_PIXEL_THRESHOLD)
+- **Masked Areas**: ${Object.keys(this.masks).length > 0 ? `${Object.keys(this.masks).length} screenshot(s) with ignored elements or regions, left out of the diff % (light grey in diffs)` : 'none'}
+- **Compared Region**: ${this.compareMode === 'full' ? 'full page, padded to the larger of the two sizes' : `top ${this.viewport ? `${this.viewport.width}×${this.viewport.height}px ` : ''}viewport region`}
+- **Baseline Directory**: \`${this.baselines.dir}\`
+- **Fallback Baselines**: ${this.baselines.chain.slice(1).map(({ dir }) => `\`${dir}\``).join(', ') || 'none'}
 - **Diff Directory**: \`${this.diffDir}\`
 - **Image Format**: PNG
-- **Comparison Algorithm**: Pixelmatch with alpha channel support
+- **Comparison Algorithm**: Pixelmatch (pixel, antialias) or 8×8 windowed SSIM (ssim)
 `;
 
     await fs.writeFile(reportPath, report);
@@ -236,7 +490,11 @@ export class VisualRegressionTester {
     return reportPath;
   }
 
-  async cleanupOldDiffs(maxAge = 7 * 24 * 60 * 60 * 1000) { // 7 days
+  /**
+   * Delete diff images older than `maxAge` and return their paths; `dryRun` only lists them
+   */
+  async cleanupOldDiffs(maxAge = 7 * 24 * 60 * 60 * 1000, { dryRun = false } = {}) { // 7 days
+    const removed = [];
     try {
       const files = await fs.readdir(this.diffDir);
       const now = Date.now();
@@ -246,37 +504,36 @@ export class VisualRegressionTester {
         const stats = await fs.stat(filePath);
         
         if (now - stats.mtime.getTime() > maxAge) {
-          await fs.unlink(filePath);
-          console.log(`🗑️ Cleaned up old diff: ${file}`);
+          if (!dryRun) {
+            await fs.unlink(filePath);
+            console.log(`🗑️ Cleaned up old diff: ${file}`);
+          }
+          removed.push(filePath);
         }
       }
     } catch (error) {
-      console.error('Error cleaning up old diffs:', error);
+      // A run without visual differences has no diffs folder
+      if (error.code !== 'ENOENT') console.error('Error cleaning up old diffs:', error);
     }
+    return removed;
   }
 
   async getBaselineList() {
-    try {
-      const files = await fs.readdir(this.baselineDir);
-      return files.filter(file => file.endsWith('.png'));
-    } catch {
-      return [];
-    }
+    return this.baselines.list();
   }
 
-  async updateBaseline(screenshotPath, filename) {
-    const baselinePath = path.join(this.baselineDir, filename);
-    await fs.copyFile(screenshotPath, baselinePath);
-    console.log(`📸 Updated baseline: ${filename}`);
+  async updateBaseline(screenshotPath, name) {
+    await this.baselines.write(name, screenshotPath);
+    console.log(`📸 Updated baseline: ${name}`);
   }
 
-  async deleteBaseline(filename) {
-    const baselinePath = path.join(this.baselineDir, filename);
+  async deleteBaseline(name) {
+    const baselinePath = path.join(this.baselines.dir, `${name}.png`);
     try {
       await fs.unlink(baselinePath);
-      console.log(`🗑️ Deleted baseline: ${filename}`);
+      console.log(`🗑️ Deleted baseline: ${name}`);
     } catch (error) {
-      console.error(`Error deleting baseline ${filename}:`, error);
+      console.error(`Error deleting baseline ${name}:`, error);
     }
   }
 }
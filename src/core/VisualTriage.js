@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+
+import path from 'path';
+import { createProvider, resolveAIConfig, supportsImages } from './providers/index.js';
+import { readPNG, encodePNG, extract, resize } from './ImageUtils.js';
+
+/**
+ * AI triage of visual regressions
+ * Each failed comparison's baseline, current screenshot and diff image go to
+ * a vision-capable model, which says what kind of change it is, how severe
+ * it is, and describes it in a sentence. Noise can then be told apart from
+ * real regressions in the reports and the evaluation.
+ */
+
+export const TRIAGE_CATEGORIES = {
+  'intentional-redesign': 'intentional redesign',
+  'layout-break': 'layout break',
+  'missing-content': 'missing content',
+  'dynamic-noise': 'dynamic-content noise'
+};
+
+export const TRIAGE_SEVERITIES = ['low', 'medium', 'high'];
+
+// Categories that point at a real regression rather than an accepted or meaningless change
+export const REGRESSION_CATEGORIES = ['layout-break', 'missing-content'];
+
+const CATEGORY_ALIASES = {
+  intentional: 'intentional-redesign',
+  redesign: 'intentional-redesign',
+  'intentional-change': 'intentional-redesign',
+  layout: 'layout-break',
+  'broken-layout': 'layout-break',
+  missing: 'missing-content',
+  noise: 'dynamic-noise',
+  'dynamic-content': 'dynamic-noise',
+  'dynamic-content-noise': 'dynamic-noise'
+};
+
+const SYSTEM_PROMPT = `You review visual regression test failures for a web product. For each failure you get the baseline screenshot, the current screenshot and a diff image (changed pixels in red or green; area only one screenshot has in blue or orange; masked areas in grey).
+
+Classify the change as exactly one of:
+- intentional-redesign: a deliberate, coherent change to design or content
+- layout-break: elements overlap, overflow, are misaligned or lost their styling
+- missing-content: text, images or controls that were there are gone or empty
+- dynamic-noise: timestamps, counters, avatars, ads, carousels, animation frames or other content that differs on every run
+
+Reply with a single JSON object: {"category": "...", "severity": "low" | "medium" | "high", "description": "one sentence on what changed"}.`;
+
+/**
+ * Fix casing and common synonyms, e.g. "Layout break" → "layout-break"
+ */
+export function normalizeTriage(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return raw;
+  const triage = { ...raw };
+  if (typeof triage.category === 'string') {
+    const category = triage.category.toLowerCase().trim().replace(/[\s_]+/g, '-');
+    triage.category = CATEGORY_ALIASES[category] || category;
+  }
+  if (typeof triage.severity === 'string') triage.severity = triage.severity.toLowerCase().trim();
+  if (typeof triage.description === 'string') triage.description = triage.description.trim();
+  return triage;
+}
+
+export function validateTriage(triage) {
+  if (!triage || typeof triage !== 'object' || Array.isArray(triage)) return ['The response must be a JSON object'];
+
+  const errors = [];
+  if (!TRIAGE_CATEGORIES[triage.category]) {
+    errors.push(`"category" must be one of: ${Object.keys(TRIAGE_CATEGORIES).join(', ')} (got ${JSON.stringify(triage.category)})`);
+  }
+  if (!TRIAGE_SEVERITIES.includes(triage.severity)) {
+    errors.push(`"severity" must be one of: ${TRIAGE_SEVERITIES.join(', ')} (got ${JSON.stringify(triage.severity)})`);
+  }
+  if (typeof triage.description !== 'string' || triage.description === '') {
+    errors.push('"description" must be a non-empty string');
+  }
+  return errors;
+}
+
+/**
+ * "layout break (high)"
+ */
+export function describeTriage(triage) {
+  return `${TRIAGE_CATEGORIES[triage.category]} (${triage.severity})`;
+}
+
+export class VisualTriage {
+  /**
+   * @param {object} options  AI settings (a persona's `ai:` block); AI_TRIAGE_MODEL picks a different model, which must read images
+   */
+  constructor(options = {}) {
+    this.config = resolveAIConfig({ ...options, model: process.env.AI_TRIAGE_MODEL || options.model });
+    this.provider = createProvider(this.config);
+    this.limit = parseInt(process.env.AI_TRIAGE_LIMIT || '10', 10);
+  }
+
+  /**
+   * Triage the failed comparisons of a `compareScreenshots` result, largest
+   * diff first, up to AI_TRIAGE_LIMIT. Each gets a `triage` entry and the
+   * results get counts per category; a comparison the model couldn't
+   * classify gets `triage.error` instead.
+   */
+  async triageResults(results, { persona, screenshotSteps = {} } = {}) {
+    const failed = results.comparisons
+      .filter(comparison => comparison.status === 'failed')
+      .sort((a, b) => b.diffPercentage - a.diffPercentage);
+    if (failed.length === 0) return results;
+
+    const selected = failed.slice(0, this.limit);
+    if (!supportsImages(this.config.model)) {
+      const error = `${this.config.model} can't read images; set AI_TRIAGE_MODEL to a vision model such as gpt-4o`;
+      console.warn(`⚠️ Visual triage skipped: ${error}`);
+      for (const comparison of selected) comparison.triage = { error };
+      return results;
+    }
+    console.log(`🧐 Triaging ${selected.length} visual diff(s) with ${this.provider.name} (${this.config.model})${failed.length > selected.length ? `; ${failed.length - selected.length} skipped (AI_TRIAGE_LIMIT)` : ''}...`);
+
+    results.triage = Object.fromEntries(Object.keys(TRIAGE_CATEGORIES).map(category => [category, 0]));
+    for (const comparison of selected) {
+      try {
+        comparison.triage = await this.triage(comparison, { persona, stepId: screenshotSteps[comparison.filename] });
+        results.triage[comparison.triage.category]++;
+        console.log(`   ${comparison.name}: ${describeTriage(comparison.triage)} - ${comparison.triage.description}`);
+      } catch (error) {
+        comparison.triage = { error: error.message };
+        console.warn(`⚠️ Triage failed for ${comparison.name}: ${error.message}`);
+      }
+    }
+    return results;
+  }
+
+  async triage(comparison, { persona, stepId } = {}) {
+    const messages = [{ role: 'user', content: [{ type: 'text', text: this.buildPrompt(comparison, { persona, stepId }) }, ...await this.buildImageParts(comparison)] }];
+
+    for (let attempt = 0; ; attempt++) {
+      const response = await this.provider.complete({
+        purpose: 'visual-triage',
+        system: SYSTEM_PROMPT,
+        messages,
+        temperature: 0,
+        maxTokens: 300
+      });
+
+      const { triage, errors } = this.parseTriage(response.text);
+      if (errors.length === 0) return triage;
+      if (attempt >= this.config.maxRepairs) {
+        throw new Error(`Triage did not match the schema after ${attempt} repair attempt(s): ${errors.join('; ')}`);
+      }
+      messages.push(
+        { role: 'assistant', content: response.text },
+        { role: 'user', content: `Your reply does not match the required format:\n\n${errors.map(error => `- ${error}`).join('\n')}\n\nReply with the corrected JSON object only.` }
+      );
+    }
+  }
+
+  buildPrompt(comparison, { persona, stepId }) {
+    const regions = (comparison.regions || []).slice(0, 5);
+    return `Triage this visual regression failure.
+
+- **Screenshot**: ${comparison.name}${stepId ? ` (step \`${stepId}\`)` : ''}
+${persona ? `- **Persona**: ${persona.id}, trying to: ${persona.goal}\n` : ''}- **Difference**: ${comparison.diffPercentage.toFixed(2)}% (${comparison.metric || 'pixel'} metric, fails above ${comparison.threshold ?? 5}%)
+${comparison.sizeChange ? `- **Size**: ${comparison.sizeChange.before.width}×${comparison.sizeChange.before.height} in the baseline, ${comparison.sizeChange.after.width}×${comparison.sizeChange.after.height} now\n` : ''}${regions.length > 0 ? `- **Largest changed regions** (x, y, width × height in screenshot pixels): ${regions.map(region => `${region.type} at ${region.x}, ${region.y}, ${region.width}×${region.height}`).join('; ')}\n` : ''}
+The images follow in this order: baseline, current, diff. Tall pages are cut to the part around the largest change.`;
+  }
+
+  /**
+   * Baseline, current and diff images, cut to the same window around the
+   * largest changed region and downscaled to AI_IMAGE_WIDTH
+   */
+  async buildImageParts(comparison) {
+    const images = [['Baseline', comparison.baseline], ['Current', comparison.current], ['Diff', comparison.diff]];
+    const loaded = [];
+    for (const [label, file] of images) {
+      if (!file) continue;
+      try {
+        loaded.push({ label, file, png: await readPNG(file) });
+      } catch (error) {
+        console.warn(`⚠️ Could not read ${path.basename(file)} for triage:`, error.message);
+      }
+    }
+
+    if (loaded.length === 0) throw new Error('None of the baseline, current or diff images could be read');
+
+    const width = Math.max(...loaded.map(({ png }) => png.width));
+    const windowHeight = Math.round(width * 1.5);
+    const focus = comparison.regions?.[0];
+    const preferredTop = focus ? Math.max(0, Math.round(focus.y + focus.height / 2 - windowHeight / 2)) : 0;
+
+    const parts = [];
+    for (const { label, file, png } of loaded) {
+      const top = Math.max(0, Math.min(preferredTop, png.height - windowHeight));
+      const view = extract(png, png.width, Math.min(windowHeight, png.height - top), 0, top);
+      parts.push({ type: 'text', text: `${label} (${path.basename(file)}${top > 0 ? `, from y=${top}` : ''}):` });
+      parts.push({ type: 'image', mediaType: 'image/png', data: encodePNG(resize(view, this.config.imageWidth)) });
+    }
+    return parts;
+  }
+
+  parseTriage(text) {
+    const jsonMatch = (text || '').match(/\{[\s\S]*\}/);
+    if (!jsonMatch) return { triage: null, errors: ['The response does not contain a JSON object'] };
+
+    let raw;
+    try {
+      raw = JSON.parse(jsonMatch[0]);
+    } catch (error) {
+      return { triage: null, errors: [`The response is not valid JSON: ${error.message}`] };
+    }
+    const triage = normalizeTriage(raw);
+    return { triage: { category: triage.category, severity: triage.severity, description: triage.description }, errors: validateTriage(triage) };
+  }
+}
+
+export default VisualTriage;
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Worker pool for running persona jobs concurrently
+ */
+
+const logContext = new AsyncLocalStorage();
+// Pools running at once share one patched console; the last to finish restores it
+let prefixUsers = 0;
+let originalConsole = null;
+
+/**
+ * Prefix console output with the label of the job that produced it.
+ * The label follows async work through AsyncLocalStorage, so logs from
+ * TestRunner, AIEvaluator and VisualRegressionTester are attributed too.
+ * Returns a function that puts the original console methods back.
+ */
+function installLogPrefix() {
+  if (prefixUsers++ === 0) {
+    originalConsole = {};
+    for (const method of ['log', 'info', 'warn', 'error']) {
+      const original = console[method];
+      originalConsole[method] = original;
+      console[method] = (...args) => {
+        const prefix = logContext.getStore();
+        return prefix ? original.call(console, prefix, ...args) : original.apply(console, args);
+      };
+    }
+  }
+
+  return () => {
+    if (--prefixUsers > 0) return;
+    Object.assign(console, originalConsole);
+    originalConsole = null;
+  };
+}
+
+/**
+ * Run `task(item, workerId)` over `items` with at most `workers` in flight.
+ * Results (or `{ error }` for rejected tasks) come back in input order.
+ */
+export async function runPool(items, workers, task, { label = () => null } = {}) {
+  const results = new Array(items.length);
+  const size = Math.max(1, Math.min(workers, items.length));
+  let nextIndex = 0;
+
+  const restoreConsole = size > 1 ? installLogPrefix() : () => {};
+
+  const worker = async (workerId) => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      const item = items[index];
+      const name = label(item);
+      const prefix = size > 1 ? `[w${workerId}${name ? ` ${name}` : ''}]` : null;
+
+      try {
+        results[index] = await logContext.run(prefix, () => task(item, workerId));
+      } catch (error) {
+        results[index] = { error };
+      }
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: size }, (_, i) => worker(i + 1)));
+  } finally {
+    restoreConsole();
+  }
+  return results;
+}
+
+/**
+ * Launches each browser type once and hands the same instance to every job
+ */
+export class BrowserPool {
+  constructor(launch) {
+    this.launch = launch;
+    this.browsers = new Map();
+  }
+
+  get(browserName) {
+    if (!this.browsers.has(browserName)) {
+      this.browsers.set(browserName, this.launch(browserName));
+    }
+    return this.browsers.get(browserName);
+  }
+
+  async closeAll() {
+    for (const browser of this.browsers.values()) {
+      await (await browser.catch(() => null))?.close();
+    }
+    this.browsers.clear();
+  }
+}
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+const API_VERSION = '2023-06-01';
+
+/**
+ * Anthropic Messages API provider
+ */
+export class AnthropicProvider {
+  constructor(config) {
+    this.name = 'anthropic';
+    this.config = config;
+
+    if (!config.apiKey) {
+      throw new Error(`❌ ANTHROPIC_API_KEY not found in environment variables.
+
+Please ensure:
+1. Add ANTHROPIC_API_KEY to your .env or .env.local file
+2. Get a valid API key from: https://console.anthropic.com/settings/keys
+
+Or set AI_PROVIDER=stub to run without a model.`);
+    }
+  }
+
+  async complete({ system, messages, temperature, maxTokens, json = false }) {
+    const baseUrl = this.config.baseUrl || 'https://api.anthropic.com';
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': this.config.apiKey,
+        'anthropic-version': API_VERSION
+      },
+      body: JSON.stringify({
+        model: this.config.model,
+        // The Messages API has no JSON mode, so ask for it in the system prompt
+        system: json ? `${system || ''}\n\nRespond with a single JSON object only.`.trim() : system,
+        messages: messages.map(message => ({
+          role: message.role,
+          content: typeof message.content === 'string'
+            ? message.content
+            : message.content.map(part => part.type === 'image'
+              ? { type: 'image', source: { type: 'base64', media_type: part.mediaType, data: part.data } }
+              : { type: 'text', text: part.text })
+        })),
+        temperature: temperature ?? this.config.temperature,
+        max_tokens: maxTokens ?? this.config.maxTokens
+      })
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`${response.status} ${body.error?.message || response.statusText}`);
+    }
+
+    return {
+      text: body.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      model: body.model || this.config.model,
+      usage: body.usage
+    };
+  }
+}
+
+export default AnthropicProvider;
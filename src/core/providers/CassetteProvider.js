@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+export const CASSETTE_MODES = ['record', 'replay', 'passthrough'];
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Record/replay wrapper around a provider
+ *
+ * record:      call the provider and store each request/response pair on disk
+ * replay:      answer from the stored pairs only; a missing recording is an error
+ * passthrough: not wrapped at all (see createProvider)
+ */
+export class CassetteProvider {
+  constructor(inner, config) {
+    this.inner = inner;
+    this.config = config;
+    this.mode = config.cassette;
+    this.dir = config.cassetteDir;
+    this.name = inner ? inner.name : config.provider;
+
+    if (!this.dir) {
+      throw new Error(`❌ Cassette mode "${this.mode}" needs a directory. Set AI_CASSETTE_DIR or pass --cassette-dir.`);
+    }
+  }
+
+  /**
+   * Requests are keyed by model and parameters plus a hash of the prompt;
+   * image data is hashed so keys stay small.
+   */
+  describeRequest(request) {
+    const messages = request.messages.map(message => ({
+      role: message.role,
+      content: typeof message.content === 'string'
+        ? message.content
+        : message.content.map(part => part.type === 'image'
+          ? { type: 'image', mediaType: part.mediaType, sha256: sha256(part.data) }
+          : part)
+    }));
+
+    const parameters = {
+      purpose: request.purpose || null,
+      temperature: request.temperature ?? this.config.temperature,
+      maxTokens: request.maxTokens ?? this.config.maxTokens,
+      json: Boolean(request.json)
+    };
+    const promptHash = sha256(JSON.stringify({ system: request.system || null, messages }));
+    const key = sha256(JSON.stringify({ model: this.config.model, parameters, promptHash }));
+
+    return { key, model: this.config.model, parameters, promptHash };
+  }
+
+  async complete(request) {
+    const entry = this.describeRequest(request);
+    const file = path.join(this.dir, `${entry.parameters.purpose || 'request'}-${entry.key.slice(0, 16)}.json`);
+
+    if (this.mode === 'replay') {
+      let recording;
+      try {
+        recording = JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch {
+        throw new Error(`❌ Cassette miss in replay mode: no recording for ${entry.parameters.purpose || 'request'} request ${entry.key.slice(0, 16)} (model ${entry.model}) in ${this.dir}.
+
+The prompt or parameters changed since the cassette was recorded.
+Re-record with --cassette record, or run with --cassette passthrough.`);
+      }
+      console.log(`📼 Replayed ${path.basename(file)}`);
+      return recording.response;
+    }
+
+    const response = await this.inner.complete(request);
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(file, JSON.stringify({
+      ...entry,
+      provider: this.inner.name,
+      recordedAt: new Date().toISOString(),
+      response
+    }, null, 2));
+    console.log(`📼 Recorded ${path.basename(file)}`);
+    return response;
+  }
+}
+
+export default CassetteProvider;
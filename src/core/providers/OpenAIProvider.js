@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+import OpenAI from 'openai';
+
+/**
+ * OpenAI chat completions provider
+ * Also serves any OpenAI-compatible endpoint (vLLM, Ollama, LM Studio, ...) via `baseUrl`
+ */
+export class OpenAIProvider {
+  constructor(config) {
+    this.name = config.provider;
+    this.config = config;
+
+    if (!config.apiKey && !config.baseUrl) {
+      throw new Error(`❌ OPENAI_API_KEY not found in environment variables.
+
+Please ensure:
+1. Add OPENAI_API_KEY to your .env or .env.local file
+2. Get a valid API key from: https://platform.openai.com/api-keys
+3. The key should start with 'sk-proj-' or 'sk-'
+
+Example:
+OPENAI_API_KEY=sk-proj-your_actual_api_key_here
+
+Or set AI_PROVIDER=stub to run without a model.`);
+    }
+
+    this.client = new OpenAI({
+      // Self-hosted OpenAI-compatible servers usually accept any key
+      apiKey: config.apiKey || 'not-needed',
+      ...(config.baseUrl && { baseURL: config.baseUrl })
+    });
+  }
+
+  async complete({ system, messages, temperature, maxTokens, json = false }) {
+    const response = await this.client.chat.completions.create({
+      model: this.config.model,
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        ...messages.map(message => ({
+          role: message.role,
+          content: typeof message.content === 'string'
+            ? message.content
+            : message.content.map(part => part.type === 'image'
+              ? { type: 'image_url', image_url: { url: `data:${part.mediaType};base64,${part.data}` } }
+              : { type: 'text', text: part.text })
+        }))
+      ],
+      temperature: temperature ?? this.config.temperature,
+      max_tokens: maxTokens ?? this.config.maxTokens,
+      ...(json && { response_format: { type: 'json_object' } })
+    });
+
+    return {
+      text: response.choices[0].message.content,
+      model: response.model || this.config.model,
+      usage: response.usage
+    };
+  }
+}
+
+export default OpenAIProvider;
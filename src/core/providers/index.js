@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+import { OpenAIProvider } from './OpenAIProvider.js';
+import { AnthropicProvider } from './AnthropicProvider.js';
+import { StubProvider } from './StubProvider.js';
+import { CassetteProvider, CASSETTE_MODES } from './CassetteProvider.js';
+import { createLimiter } from '../Limiter.js';
+
+/**
+ * LLM provider layer
+ *
+ * Every provider implements:
+ *   complete({ purpose, system, messages, temperature, maxTokens, json })
+ *     → { text, model, usage }
+ * where message content is a string or a list of
+ *   { type: 'text', text } | { type: 'image', mediaType, data (base64) } parts.
+ */
+
+export const PROVIDERS = {
+  'openai': OpenAIProvider,
+  'openai-compatible': OpenAIProvider,
+  'anthropic': AnthropicProvider,
+  'stub': StubProvider
+};
+
+const DEFAULT_MODELS = {
+  'openai': 'gpt-4o',
+  'openai-compatible': 'gpt-4o',
+  'anthropic': 'claude-3-5-sonnet-latest',
+  'stub': 'stub'
+};
+
+// Models known to take text only; any other model is assumed to read images
+const TEXT_ONLY_MODELS = [
+  /^gpt-3\.5/,
+  /^gpt-4(-\d{4})?$/,
+  /^gpt-4-(32k|turbo-preview|\d{4}-preview)/,
+  /^o1-(mini|preview)/,
+  /^o3-mini/
+];
+
+export function supportsImages(model) {
+  return !TEXT_ONLY_MODELS.some(pattern => pattern.test(model || ''));
+}
+
+/**
+ * Environment variable holding the API key for a provider
+ */
+export function apiKeyVariable(provider) {
+  switch (provider) {
+    case 'anthropic': return 'ANTHROPIC_API_KEY';
+    case 'openai-compatible': return 'AI_API_KEY';
+    case 'stub': return null;
+    default: return 'OPENAI_API_KEY';
+  }
+}
+
+/**
+ * Resolve provider settings from the environment, then apply overrides
+ * such as a persona's `ai:` block.
+ */
+export function resolveAIConfig(overrides = {}) {
+  const provider = overrides.provider || process.env.AI_PROVIDER || 'openai';
+  const keyVariable = apiKeyVariable(provider);
+
+  return {
+    provider,
+    model: overrides.model || process.env.AI_MODEL || DEFAULT_MODELS[provider],
+    baseUrl: overrides.baseUrl || process.env.AI_BASE_URL || undefined,
+    apiKey: keyVariable ? process.env[keyVariable] || process.env.AI_API_KEY : undefined,
+    temperature: overrides.temperature ?? parseFloat(process.env.AI_TEMPERATURE || '0.7'),
+    maxTokens: overrides.maxTokens ?? parseInt(process.env.AI_MAX_TOKENS || '2000', 10),
+    maxRepairs: overrides.maxRepairs ?? parseInt(process.env.AI_MAX_REPAIRS || '2', 10),
+    imageBudget: overrides.imageBudget ?? parseInt(process.env.AI_IMAGE_BUDGET || '6', 10),
+    imageWidth: overrides.imageWidth ?? parseInt(process.env.AI_IMAGE_WIDTH || '768', 10),
+    cassette: overrides.cassette || process.env.AI_CASSETTE || 'passthrough',
+    cassetteDir: overrides.cassetteDir || process.env.AI_CASSETTE_DIR
+  };
+}
+
+let aiLimiter = null;
+
+/**
+ * Process-wide limit on in-flight AI requests (AI_CONCURRENCY, default 4),
+ * shared by every provider so parallel persona runs don't flood the API
+ */
+function limitConcurrency(provider) {
+  if (!aiLimiter) {
+    aiLimiter = createLimiter(Math.max(1, parseInt(process.env.AI_CONCURRENCY || '4', 10)));
+  }
+  return {
+    name: provider.name,
+    config: provider.config,
+    complete: request => aiLimiter(() => provider.complete(request))
+  };
+}
+
+export function createProvider(config = resolveAIConfig()) {
+  const Provider = PROVIDERS[config.provider];
+  if (!Provider) {
+    throw new Error(`❌ Unknown AI provider "${config.provider}". Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  if (!CASSETTE_MODES.includes(config.cassette || 'passthrough')) {
+    throw new Error(`❌ Unknown cassette mode "${config.cassette}". Available modes: ${CASSETTE_MODES.join(', ')}`);
+  }
+
+  // Replaying needs no credentials, so the real provider is never created
+  if (config.cassette === 'replay') {
+    return limitConcurrency(new CassetteProvider(null, config));
+  }
+
+  if (config.provider === 'openai-compatible' && !config.baseUrl) {
+    throw new Error('❌ AI_PROVIDER=openai-compatible needs AI_BASE_URL, e.g. http://localhost:11434/v1');
+  }
+  const provider = new Provider(config);
+  return limitConcurrency(config.cassette === 'record' ? new CassetteProvider(provider, config) : provider);
+}
+
+export default createProvider;
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import path from 'path';
+import { variantLabel, describeVariant } from '../Matrix.js';
+
+/**
+ * JUnit XML reporter
+ * One test suite per persona run: a test case for every step, then one per
+ * rubric criterion that fails below the score threshold.
+ */
+
+// Same bar the CLI uses for its exit code
+export const RUBRIC_THRESHOLD = 3;
+
+export function escapeXml(value) {
+  return String(value ?? '')
+    // Control characters are not allowed in XML 1.0, even escaped
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+export class JUnitReporter {
+  static filename = 'junit.xml';
+
+  constructor(runs, { threshold = RUBRIC_THRESHOLD } = {}) {
+    this.runs = runs;
+    this.threshold = threshold;
+  }
+
+  async write(dir) {
+    const filePath = path.join(dir, JUnitReporter.filename);
+    await fs.writeFile(filePath, this.render());
+    return filePath;
+  }
+
+  render() {
+    const suites = this.runs.map(run => this.renderSuite(run));
+    const count = key => suites.reduce((sum, suite) => sum + suite[key], 0);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="ValidateMe" tests="${count('tests')}" failures="${count('failures')}" errors="${count('errors')}" time="${seconds(count('time'))}">
+${suites.map(suite => suite.xml).join('\n')}
+</testsuites>
+`;
+  }
+
+  renderSuite(run) {
+    const classname = `${run.persona}.${variantLabel(run.variant)}`;
+    const cases = [];
+
+    if (run.error) {
+      cases.push({ name: 'run', time: 0, error: run.error });
+    }
+
+    for (const step of run.steps || []) {
+      cases.push({
+        name: `${step.stepId}: ${step.description}`,
+        time: step.duration,
+        failure: step.success ? null : step.error || 'Step failed'
+      });
+    }
+
+    if (run.evaluation) {
+      for (const [criterion, { score, justification }] of Object.entries(run.evaluation.rubric)) {
+        cases.push({
+          name: `rubric: ${criterion} >= ${this.threshold}`,
+          time: 0,
+          failure: score < this.threshold ? `Scored ${score}/5: ${justification}` : null
+        });
+      }
+      cases.push({
+        name: `overall score >= ${this.threshold}`,
+        time: 0,
+        failure: run.score < this.threshold ? `Scored ${run.score.toFixed(2)}/5 (verdict: ${run.evaluation.verdict})` : null
+      });
+    }
+
+    const testcases = cases.map(({ name, time, failure, error }) => {
+      const attributes = `name="${escapeXml(name)}" classname="${escapeXml(classname)}" time="${seconds(time)}"`;
+      if (error) return `    <testcase ${attributes}>\n      <error message="${escapeXml(error)}"/>\n    </testcase>`;
+      if (failure) return `    <testcase ${attributes}>\n      <failure message="${escapeXml(failure.split('\n')[0])}">${escapeXml(failure)}</failure>\n    </testcase>`;
+      return `    <testcase ${attributes}/>`;
+    });
+
+    const properties = [
+      ['browser', describeVariant(run.variant)],
+      ['score', run.evaluation ? run.score.toFixed(2) : null],
+      ['verdict', run.verdict],
+      ['report', run.reportsDir ? path.join(run.reportsDir, 'report.html') : null]
+    ].filter(([, value]) => value !== null && value !== undefined)
+      .map(([name, value]) => `      <property name="${name}" value="${escapeXml(value)}"/>`);
+
+    const time = cases.reduce((sum, testcase) => sum + (testcase.time || 0), 0);
+    const failures = cases.filter(testcase => testcase.failure).length;
+    const errors = cases.filter(testcase => testcase.error).length;
+
+    return {
+      tests: cases.length,
+      failures,
+      errors,
+      time,
+      xml: `  <testsuite name="${escapeXml(`${run.persona} [${variantLabel(run.variant)}]`)}" tests="${cases.length}" failures="${failures}" errors="${errors}" time="${seconds(time)}">
+    <properties>
+${properties.join('\n')}
+    </properties>
+${testcases.join('\n')}
+  </testsuite>`
+    };
+  }
+}
+
+export default JUnitReporter;
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import path from 'path';
+import { variantLabel } from '../Matrix.js';
+
+/**
+ * JSON summary reporter
+ * Scores, verdicts, visual diff and triage counts for every run in one file,
+ * small enough for dashboards and `jq`.
+ */
+
+function visualCounts(visualResults) {
+  const counts = { total: 0, passed: 0, failed: 0, new: 0, pending: 0 };
+  if (!visualResults) return counts;
+  for (const key of Object.keys(counts)) counts[key] = visualResults[key] || 0;
+  return counts;
+}
+
+export class JsonReporter {
+  static filename = 'summary.json';
+
+  constructor(runs) {
+    this.runs = runs;
+  }
+
+  async write(dir) {
+    const filePath = path.join(dir, JsonReporter.filename);
+    await fs.writeFile(filePath, JSON.stringify(this.summarize(), null, 2));
+    return filePath;
+  }
+
+  summarizeRun(run) {
+    const steps = run.steps || [];
+    return {
+      persona: run.persona,
+      browser: run.variant.browser,
+      device: run.variant.device || null,
+      variant: variantLabel(run.variant),
+      status: run.error ? 'error' : 'completed',
+      ...(run.error && { error: run.error }),
+      score: run.evaluation ? Math.round(run.score * 100) / 100 : null,
+      verdict: run.evaluation?.verdict || null,
+      rubric: run.evaluation
+        ? Object.fromEntries(Object.entries(run.evaluation.rubric).map(([criterion, { score }]) => [criterion, score]))
+        : null,
+      outcome: run.outcome?.status || null,
+      steps: { total: steps.length, failed: steps.filter(step => !step.success).length },
+      visual: visualCounts(run.visualResults),
+      visualTriage: run.visualResults?.triage || null,
+      accessibilityViolations: run.accessibility?.violations?.length || 0,
+      keyboardIssues: run.accessibility?.issues?.length || 0,
+      diagnostics: run.diagnostics?.counts || null,
+      budgetBreaches: run.breaches?.length || 0,
+      blockers: run.evaluation?.blockers || [],
+      report: run.reportsDir ? path.join(run.reportsDir, 'report.html') : null
+    };
+  }
+
+  summarize() {
+    const runs = this.runs.map(run => this.summarizeRun(run));
+    const scored = runs.filter(run => run.score !== null);
+    const verdicts = {};
+    for (const run of runs) {
+      const verdict = run.verdict || 'failed';
+      verdicts[verdict] = (verdicts[verdict] || 0) + 1;
+    }
+    const visual = visualCounts(null);
+    for (const run of runs) {
+      for (const key of Object.keys(visual)) visual[key] += run.visual[key];
+    }
+
+    return {
+      generated: new Date().toISOString(),
+      totals: {
+        runs: runs.length,
+        errors: runs.filter(run => run.status === 'error').length,
+        averageScore: scored.length > 0
+          ? Math.round(scored.reduce((sum, run) => sum + run.score, 0) / scored.length * 100) / 100
+          : null,
+        lowestScore: scored.length > 0 ? Math.min(...scored.map(run => run.score)) : null,
+        verdicts,
+        visual,
+        accessibilityViolations: runs.reduce((sum, run) => sum + run.accessibilityViolations, 0),
+        budgetBreaches: runs.reduce((sum, run) => sum + run.budgetBreaches, 0)
+      },
+      runs
+    };
+  }
+}
+
+export default JsonReporter;
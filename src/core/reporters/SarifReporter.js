@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import path from 'path';
+import { A11Y_RULES } from '../Accessibility.js';
+import { SIGNAL_TYPES } from '../Diagnostics.js';
+import { variantLabel } from '../Matrix.js';
+
+/**
+ * SARIF 2.1.0 reporter
+ * Accessibility violations, keyboard issues and console/network findings as
+ * static-analysis results, located at the page URL they were found on.
+ */
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const KEYBOARD_ISSUES = {
+  'not-focusable': 'Element cannot receive keyboard focus',
+  'unreachable': 'Element cannot be reached with the Tab key',
+  'focus-trap': 'Keyboard focus is trapped in a cycle of elements'
+};
+
+const IMPACT_LEVELS = { critical: 'error', serious: 'error', moderate: 'warning', minor: 'note' };
+const SIGNAL_LEVELS = {
+  'page-error': 'error',
+  'http-error': 'error',
+  'request-failed': 'error',
+  'console-error': 'error',
+  'console-warning': 'warning'
+};
+
+const RULES = [
+  ...Object.entries(A11Y_RULES).map(([id, description]) => ({ id: `a11y/${id}`, description, level: 'error' })),
+  ...Object.entries(KEYBOARD_ISSUES).map(([id, description]) => ({ id: `keyboard/${id}`, description, level: 'error' })),
+  ...Object.entries(SIGNAL_TYPES).map(([id, description]) => ({ id: `console/${id}`, description, level: SIGNAL_LEVELS[id] }))
+];
+
+function location(url) {
+  return url ? [{ physicalLocation: { artifactLocation: { uri: url } } }] : [];
+}
+
+export class SarifReporter {
+  static filename = 'results.sarif';
+
+  constructor(runs, { version } = {}) {
+    this.runs = runs;
+    this.version = version;
+  }
+
+  async write(dir) {
+    const filePath = path.join(dir, SarifReporter.filename);
+    await fs.writeFile(filePath, JSON.stringify(this.render(), null, 2));
+    return filePath;
+  }
+
+  render() {
+    return {
+      $schema: SARIF_SCHEMA,
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: 'ValidateMe',
+            ...(this.version && { version: this.version }),
+            informationUri: 'https://github.com/knaig/ValidateMe',
+            rules: RULES.map(rule => ({
+              id: rule.id,
+              shortDescription: { text: rule.description },
+              defaultConfiguration: { level: rule.level }
+            }))
+          }
+        },
+        results: this.runs.flatMap(run => this.results(run))
+      }]
+    };
+  }
+
+  results(run) {
+    const properties = { persona: run.persona, variant: variantLabel(run.variant) };
+    const results = [];
+
+    for (const violation of run.accessibility?.violations || []) {
+      results.push({
+        ruleId: `a11y/${violation.rule}`,
+        level: IMPACT_LEVELS[violation.impact] || 'warning',
+        message: { text: `${violation.message} (${violation.target})` },
+        locations: location(violation.url),
+        partialFingerprints: { target: `${violation.rule}|${violation.target}|${violation.url || ''}` },
+        properties: { ...properties, impact: violation.impact, steps: violation.steps, snippet: violation.snippet }
+      });
+    }
+
+    for (const issue of run.accessibility?.issues || []) {
+      results.push({
+        ruleId: `keyboard/${issue.type}`,
+        level: 'error',
+        message: { text: `${issue.target}: ${issue.detail}` },
+        locations: location(issue.url),
+        partialFingerprints: { target: `${issue.type}|${issue.target}|${issue.url || ''}` },
+        properties: { ...properties, steps: [issue.step] }
+      });
+    }
+
+    // Repeated messages are already collapsed; the first matching event gives the location
+    const events = run.diagnostics?.events || [];
+    for (const entry of run.diagnostics?.messages || []) {
+      const event = events.find(candidate => candidate.type === entry.type && candidate.message === entry.message);
+      results.push({
+        ruleId: `console/${entry.type}`,
+        level: SIGNAL_LEVELS[entry.type] || 'warning',
+        message: { text: entry.count > 1 ? `${entry.message} (×${entry.count})` : entry.message },
+        locations: location(event?.url),
+        partialFingerprints: { message: `${entry.type}|${entry.message}` },
+        properties: { ...properties, count: entry.count, steps: entry.steps }
+      });
+    }
+
+    return results;
+  }
+}
+
+export default SarifReporter;
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import path from 'path';
+import { JUnitReporter } from './JUnitReporter.js';
+import { JsonReporter } from './JsonReporter.js';
+import { SarifReporter } from './SarifReporter.js';
+
+/**
+ * Machine-readable reporters for CI, selected with `--reporter junit,json,sarif`
+ * Each one takes every run of the command and writes a single file.
+ */
+export const REPORTERS = {
+  junit: JUnitReporter,
+  json: JsonReporter,
+  sarif: SarifReporter
+};
+
+export function validateReporters(names) {
+  const unknown = names.filter(name => !REPORTERS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`❌ Unknown reporter(s): ${unknown.join(', ')} (available: ${Object.keys(REPORTERS).join(', ')})`);
+  }
+}
+
+/**
+ * Write the selected reports for a list of runs and return their paths
+ */
+export async function writeReports(names, runs, { dir = 'reports', ...options } = {}) {
+  await fs.mkdir(dir, { recursive: true });
+  const written = [];
+  for (const name of names) {
+    written.push(await new REPORTERS[name](runs, options).write(path.resolve(dir)));
+  }
+  return written;
+}
+
+export { JUnitReporter, JsonReporter, SarifReporter };
@@ -1,32 +1,29 @@
 #!/usr/bin/env node
 
 import { TestRunner } from './core/TestRunner.js';
-import fs from 'fs/promises';
-import path from 'path';
+import { PersonaLoader } from './core/PersonaLoader.js';
+import { validateMatrixOptions } from './core/Matrix.js';
+import { loadConfig } from './core/Config.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
 dotenv.config();
 
 async function main() {
-  const personaArg = process.argv.find(arg => arg.startsWith('--persona='));
-  const personaId = personaArg ? personaArg.split('=')[1] : 'first-time-user';
+  const argValue = name => process.argv.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const personaId = argValue('persona') || 'first-time-user';
+  const browser = argValue('browser') || 'chromium';
+  const device = argValue('device');
   
-  // Load personas
-  const personasYaml = await fs.readFile(path.join(process.cwd(), 'config', 'personas.yaml'), 'utf8');
-  const personas = personasYaml.split('personas:')[1].split('- id:').slice(1).map(p => {
-    const lines = p.trim().split('\n');
-    return {
-      id: lines[0].trim(),
-      goal: lines.find(l => l.includes('goal:'))?.split('goal:')[1]?.trim()?.replace(/"/g, '') || '',
-      task: lines.find(l => l.includes('task:'))?.split('task:')[1]?.trim()?.replace(/"/g, '') || ''
-    };
-  });
-  
-  const persona = personas.find(p => p.id === personaId);
-  if (!persona) {
-    console.error(`❌ Persona not found: ${personaId}`);
-    console.log(`Available personas: ${personas.map(p => p.id).join(', ')}`);
+  let personas;
+  let persona;
+  try {
+    await loadConfig();
+    personas = await PersonaLoader.load();
+    persona = personas.get(personaId);
+    validateMatrixOptions({ browsers: [browser], devices: device ? [device] : [] });
+  } catch (error) {
+    console.error(error.message);
     process.exit(1);
   }
 
@@ -45,7 +42,13 @@ OPENAI_API_KEY=sk-proj-your-api-key-here`);
     process.exit(1);
   }
 
-  const runner = new TestRunner(persona);
+  const runner = new TestRunner(persona, {
+    credentials: personas.credentialsFor(persona),
+    budgets: personas.budgetsFor(persona),
+    visual: personas.visualFor(persona),
+    browser,
+    ...(device && { device })
+  });
   
   try {
     await runner.setup();
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateTOTP } from '../src/core/Auth.js';
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890", SHA-1, 8 digits
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+test('generateTOTP matches the RFC 6238 test vectors', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(generateTOTP(RFC_SECRET, seconds * 1000, { digits: 8 }), code, `T=${seconds}`);
+  }
+});
+
+test('generateTOTP defaults to 6 digits, keeping leading zeros', () => {
+  assert.equal(generateTOTP(RFC_SECRET, 1111111109 * 1000), '081804');
+});
+
+test('generateTOTP gives the same code within a 30 second period', () => {
+  assert.equal(generateTOTP(RFC_SECRET, 1111111080 * 1000), generateTOTP(RFC_SECRET, 1111111109 * 1000));
+  assert.notEqual(generateTOTP(RFC_SECRET, 1111111109 * 1000), generateTOTP(RFC_SECRET, 1111111110 * 1000));
+});
+
+test('generateTOTP accepts secrets with spaces, padding and lower case', () => {
+  const spaced = 'gezd gnbv gy3t qojq gezd gnbv gy3t qojq==';
+  assert.equal(generateTOTP(spaced, 59 * 1000, { digits: 8 }), '94287082');
+});
+
+test('generateTOTP rejects secrets that are not base32', () => {
+  assert.throws(() => generateTOTP('NOT-BASE32!', 0), /not valid base32 \(unexpected "!"\)/);
+});
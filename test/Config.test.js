@@ -0,0 +1,96 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { resolveConfig, validateConfig, SETTINGS } from '../src/core/Config.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'validate-me-config-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function writeConfig(name, contents) {
+  const file = path.join(dir, name);
+  await fs.writeFile(file, contents);
+  return file;
+}
+
+test('resolveConfig uses the defaults without a file, env or flags', async () => {
+  const config = await resolveConfig({ env: {} });
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    assert.deepEqual(config.values[key], setting.default, key);
+    assert.equal(config.sources[key], 'default', key);
+  }
+});
+
+test('resolveConfig applies defaults < config file < environment < CLI flags', async () => {
+  const file = await writeConfig('validate-me.config.yaml', [
+    'productUrl: https://file.example',
+    'visual:',
+    '  threshold: 2',
+    '  metric: pixel',
+    '  strict: true'
+  ].join('\n'));
+
+  const config = await resolveConfig({
+    file,
+    env: { VISUAL_THRESHOLD: '3', VISUAL_METRIC: 'ssim', AI_MAX_REPAIRS: '4' },
+    cli: { threshold: '4' }
+  });
+
+  assert.equal(config.values.productUrl, 'https://file.example');
+  assert.equal(config.sources.productUrl, 'file');
+  assert.equal(config.values['visual.strict'], true);
+  assert.equal(config.values['visual.metric'], 'ssim');
+  assert.equal(config.sources['visual.metric'], 'env');
+  assert.equal(config.values['ai.maxRepairs'], 4);
+  assert.equal(config.values['visual.threshold'], 4);
+  assert.equal(config.sources['visual.threshold'], 'cli');
+  assert.equal(config.values['ai.temperature'], 0.7);
+  assert.equal(config.sources['ai.temperature'], 'default');
+});
+
+test('resolveConfig ignores empty environment variables', async () => {
+  const config = await resolveConfig({ env: { PRODUCT_URL: '' } });
+  assert.equal(config.sources.productUrl, 'default');
+});
+
+test('resolveConfig resolves paths in the file relative to the file', async () => {
+  const file = await writeConfig('validate-me.config.json', JSON.stringify({ personasFile: 'personas/team.yaml' }));
+  const config = await resolveConfig({ file, env: {} });
+  assert.equal(config.values.personasFile, path.join(dir, 'personas', 'team.yaml'));
+});
+
+test('resolveConfig reads the default export of a .js config file', async () => {
+  const file = await writeConfig('validate-me.config.js', 'export default { ai: { provider: "stub", imageBudget: 0 } };\n');
+  const config = await resolveConfig({ file, env: {} });
+  assert.equal(config.values['ai.provider'], 'stub');
+  assert.equal(config.values['ai.imageBudget'], 0);
+});
+
+test('resolveConfig lists every problem in one error', async () => {
+  const file = await writeConfig('invalid.yaml', 'visual:\n  threshold: 200\n  colour: red\n');
+  await assert.rejects(
+    resolveConfig({ file, env: { AI_PROVIDER: 'nope' }, cli: { metric: 'fuzzy' } }),
+    error => {
+      assert.match(error.message, /Invalid configuration/);
+      assert.match(error.message, /"visual\.threshold"/);
+      assert.match(error.message, /unknown setting "visual\.colour"/);
+      assert.match(error.message, /AI_PROVIDER/);
+      assert.match(error.message, /--metric/);
+      return true;
+    }
+  );
+});
+
+test('validateConfig rejects secrets in the file', () => {
+  const { errors } = validateConfig({ ai: { apiKey: 'sk-123' } }, path.join(dir, 'validate-me.config.json'));
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /only read from the environment/);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RUBRIC_KEYS, normalizeEvaluation, validateEvaluation } from '../src/core/EvaluationSchema.js';
+
+function validEvaluation() {
+  return {
+    summary: 'Sign-up works but the pricing page is confusing.',
+    rubric: Object.fromEntries(RUBRIC_KEYS.map(key => [key, { score: 4, justification: 'Fine' }])),
+    blockers: ['Pricing table overflows on mobile'],
+    quickWins: ['Label the plan toggle'],
+    verdict: 'fix then ship'
+  };
+}
+
+test('validateEvaluation accepts a complete evaluation', () => {
+  assert.deepEqual(validateEvaluation(validEvaluation()), []);
+});
+
+test('validateEvaluation lists every problem', () => {
+  const evaluation = validEvaluation();
+  delete evaluation.rubric.flow_friction;
+  evaluation.rubric.content_clarity.score = 6;
+  evaluation.rubric.speed = { score: 3, justification: 'Quick' };
+  evaluation.blockers = 'none';
+  evaluation.verdict = 'maybe';
+
+  assert.deepEqual(validateEvaluation(evaluation), [
+    '"rubric.flow_friction" is missing',
+    '"rubric.content_clarity.score" must be an integer from 1 to 5 (got 6)',
+    `"rubric.speed" is not a rubric criterion (expected: ${RUBRIC_KEYS.join(', ')})`,
+    '"blockers" must be an array of strings',
+    '"verdict" must be one of: ship | fix then ship | rethink (got "maybe")'
+  ]);
+});
+
+test('validateEvaluation rejects anything but an object', () => {
+  for (const value of [null, 'text', [validEvaluation()]]) {
+    assert.deepEqual(validateEvaluation(value), ['The response must be a JSON object']);
+  }
+});
+
+test('normalizeEvaluation fixes key casing and harmless type variations', () => {
+  const evaluation = normalizeEvaluation({
+    Summary: 'Good',
+    scores: {
+      onboardingClarity: '4/5',
+      'Task completion efficiency': { score: 3, reason: 'Slow checkout' }
+    },
+    quick_wins: 'Shorten the form',
+    top_blockers: [{ description: 'Checkout button hidden' }, '  '],
+    verdict: 'Fix-then-ship'
+  });
+
+  assert.deepEqual(evaluation, {
+    summary: 'Good',
+    rubric: {
+      onboarding_clarity: { score: 4 },
+      task_completion_efficiency: { score: 3, justification: 'Slow checkout' }
+    },
+    quickWins: ['Shorten the form'],
+    blockers: ['Checkout button hidden'],
+    verdict: 'fix then ship'
+  });
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectDrop } from '../src/core/History.js';
+
+test('detectDrop needs a few earlier runs to compare with', () => {
+  assert.equal(detectDrop([4, 4, 2]), null);
+  assert.equal(detectDrop([4, null, 4, undefined, 2]), null);
+});
+
+test('detectDrop flags a score well below the rolling baseline', () => {
+  const drop = detectDrop([4.2, 4.0, 4.1, 3.9, 2.5]);
+  assert.equal(drop.significant, true);
+  assert.equal(drop.latest, 2.5);
+  assert.equal(drop.baseline, 4.05);
+  assert.equal(drop.runs, 4);
+});
+
+test('detectDrop ignores small dips and rises', () => {
+  assert.equal(detectDrop([4.2, 4.0, 4.1, 3.9, 3.8]).significant, false);
+  assert.equal(detectDrop([3, 3, 3, 3, 5]).significant, false);
+});
+
+test('detectDrop keeps a minimum spread so a flat history does not flag tiny changes', () => {
+  const drop = detectDrop([4, 4, 4, 4, 3.8]);
+  assert.equal(drop.deviation, 0.25);
+  assert.equal(drop.significant, false);
+});
+
+test('detectDrop only compares with the last `window` runs', () => {
+  const drop = detectDrop([1, 1, 1, 1, 4, 4, 4, 2.5], { window: 3 });
+  assert.equal(drop.runs, 3);
+  assert.equal(drop.baseline, 4);
+  assert.equal(drop.significant, true);
+});
@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml } from '../src/core/HtmlReport.js';
+
+test('escapeHtml escapes markup and quotes', () => {
+  assert.equal(escapeHtml('<img src="x" onerror=\'alert(1)\'> & more'), '&lt;img src=&quot;x&quot; onerror=&#39;alert(1)&#39;&gt; &amp; more');
+});
+
+test('escapeHtml turns null and undefined into an empty string', () => {
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(undefined), '');
+  assert.equal(escapeHtml(0), '0');
+});
@@ -0,0 +1,128 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PNG } from 'pngjs';
+import { VisualRegressionTester, measureSizeChange } from '../src/core/VisualRegression.js';
+
+let dir;
+let tester;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'validate-me-visual-'));
+  tester = new VisualRegressionTester(dir, { metric: 'pixel', threshold: 5, compareMode: 'full' });
+  await tester.setup();
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * A white image with optional black rectangles ({ x, y, width, height })
+ */
+function bounds({ x, y, width, height }) {
+  return { x, y, width, height };
+}
+
+async function writeImage(name, width, height, rects = []) {
+  const png = new PNG({ width, height });
+  png.data.fill(255);
+  for (const rect of rects) {
+    for (let y = rect.y; y < rect.y + rect.height; y++) {
+      for (let x = rect.x; x < rect.x + rect.width; x++) {
+        const index = (y * width + x) * 4;
+        png.data[index] = png.data[index + 1] = png.data[index + 2] = 0;
+      }
+    }
+  }
+  const file = path.join(dir, name);
+  await fs.writeFile(file, PNG.sync.write(png));
+  return file;
+}
+
+test('compareImages passes identical screenshots without writing a diff', async () => {
+  const baseline = await writeImage('same-baseline.png', 40, 40, [{ x: 5, y: 5, width: 10, height: 10 }]);
+  const current = await writeImage('same-current.png', 40, 40, [{ x: 5, y: 5, width: 10, height: 10 }]);
+  const diffPath = path.join(dir, 'diffs', 'same-diff.png');
+
+  const result = await tester.compareImages(current, baseline, diffPath);
+  assert.equal(result.passed, true);
+  assert.equal(result.diffPercentage, 0);
+  assert.deepEqual(result.regions, []);
+  assert.equal(result.diffPath, null);
+  await assert.rejects(fs.access(diffPath));
+});
+
+test('compareImages fails above the threshold and locates the changed region', async () => {
+  const baseline = await writeImage('block-baseline.png', 40, 40);
+  const current = await writeImage('block-current.png', 40, 40, [{ x: 10, y: 20, width: 10, height: 10 }]);
+  const diffPath = path.join(dir, 'diffs', 'block-diff.png');
+
+  const result = await tester.compareImages(current, baseline, diffPath);
+  assert.equal(result.passed, false);
+  assert.equal(result.diffPixels, 100);
+  assert.equal(result.diffPercentage, 6.25);
+  assert.equal(result.regions.length, 1);
+  assert.equal(result.regions[0].type, 'changed');
+  assert.deepEqual(bounds(result.regions[0]), { x: 10, y: 20, width: 10, height: 10 });
+  await fs.access(diffPath);
+  await fs.access(result.annotatedPath);
+});
+
+test('compareImages takes a per-call threshold', async () => {
+  const baseline = await writeImage('threshold-baseline.png', 40, 40);
+  const current = await writeImage('threshold-current.png', 40, 40, [{ x: 0, y: 0, width: 10, height: 10 }]);
+
+  const result = await tester.compareImages(current, baseline, path.join(dir, 'diffs', 'threshold-diff.png'), { threshold: 10 });
+  assert.equal(result.passed, true);
+  assert.equal(result.threshold, 10);
+});
+
+test('compareImages leaves masked regions out of the diff', async () => {
+  const baseline = await writeImage('mask-baseline.png', 40, 40);
+  const current = await writeImage('mask-current.png', 40, 40, [{ x: 10, y: 20, width: 10, height: 10 }]);
+
+  const result = await tester.compareImages(current, baseline, path.join(dir, 'diffs', 'mask-diff.png'), {
+    masks: [{ x: 10, y: 20, width: 10, height: 10 }]
+  });
+  assert.equal(result.passed, true);
+  assert.equal(result.diffPercentage, 0);
+  assert.equal(result.maskedPixels, 100);
+});
+
+test('compareImages counts the area a taller page added', async () => {
+  const baseline = await writeImage('grew-baseline.png', 40, 40);
+  const current = await writeImage('grew-current.png', 40, 50);
+
+  const result = await tester.compareImages(current, baseline, path.join(dir, 'diffs', 'grew-diff.png'));
+  assert.equal(result.passed, false);
+  assert.equal(result.diffPercentage, 20);
+  assert.deepEqual(result.sizeChange, measureSizeChange({ width: 40, height: 40 }, { width: 40, height: 50 }));
+  assert.deepEqual(result.regions.map(region => [region.type, bounds(region)]), [['added', { x: 0, y: 40, width: 40, height: 10 }]]);
+});
+
+test('compareImages in viewport mode ignores a change in page height', async () => {
+  const baseline = await writeImage('viewport-baseline.png', 40, 40);
+  const current = await writeImage('viewport-current.png', 40, 50);
+
+  const result = await tester.compareImages(current, baseline, path.join(dir, 'diffs', 'viewport-diff.png'), {
+    mode: 'viewport',
+    viewport: { width: 40, height: 30 }
+  });
+  assert.equal(result.passed, true);
+  assert.equal(result.diffPercentage, 0);
+});
+
+test('measureSizeChange reports added and removed pixels', () => {
+  assert.equal(measureSizeChange({ width: 10, height: 10 }, { width: 10, height: 10 }), null);
+  assert.deepEqual(measureSizeChange({ width: 10, height: 20 }, { width: 15, height: 10 }), {
+    before: { width: 10, height: 20 },
+    after: { width: 15, height: 10 },
+    width: 5,
+    height: -10,
+    addedPixels: 50,
+    removedPixels: 100
+  });
+});
@@ -0,0 +1,8 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeXml } from '../src/core/reporters/JUnitReporter.js';
+
+test('escapeXml escapes markup and quotes and drops control characters', () => {
+  assert.equal(escapeXml('a < b && "c" > \'d\'\u0000\u001B\tend'), 'a &lt; b &amp;&amp; &quot;c&quot; &gt; &apos;d&apos;\tend');
+  assert.equal(escapeXml(undefined), '');
+});